@@ -1,13 +1,23 @@
 /**
  * We are deliberately breaking with the conventions of the webpack config in some cases,
  * because the conceptual model is signifcantly differnt. For instance, we don't necessarily
- * generate modules. The `module.rules` section is therefore moved to `output.handlers`.
+ * generate modules. The `module.rules` section is therefore moved to `output.handlers`, although
+ * webpack's `module.rules` are also accepted as they are (see below).
  */
 
 /**
  * Unless otherwise stated, all paths in config properties are resolved relative to the --root-dir,
  * which defaults to the CWD.
  */
+
+/**
+ * The config file can be a JavaScript (`.js`, `.cjs`, or `.mjs`, using its default export), JSON (`.json`),
+ * or YAML (`.yaml` or `.yml`) file. A JavaScript config can export a config object like the one below, or a
+ * function that is invoked with `(env, argv)` and returns one, or a Promise for one, or an array of any of
+ * these, in which case each config is built independently (but their outputs still mustn't conflict).
+ * The `env` is given with the `--env` command line option (e.g., `--env.production` gives `{production: true}`),
+ * and the `argv` is the object of all parsed command line options.
+ */
 configuration = {
     // An array of paths to directories that will be recursively scanned for source files.
     // Relative paths are resolved relative to the --root-dir.
@@ -22,6 +32,14 @@ configuration = {
     // TODO: XXX-3: Find packageData for resolve() options.
     context: './demo',
 
+    // Cache transformations on disk, so unchanged sources aren't run through their loaders again on
+    // subsequent runs. Only the results of loaders that declare themselves `cacheable()` are cached,
+    // and entries are invalidated when the source, the loaders (or their versions or options), or any
+    // dependency registered by a loader changes. Set to `true` to use the default directory,
+    // `node_modules/.cache/rosetta`, or to a path resolved relative to the --root-dir. The `--cache-dir`
+    // command line option overrides this. The default is `false`.
+    cache: true,
+
     // Configures where and how output is generated.
     output: {
 
@@ -29,13 +47,47 @@ configuration = {
         // Specifically, relative paths generated for destination paths will be generated
         // are resolved relative to this. Relative paths in _this_ property are resolved
         // relative to the --root-dir.
+        //
+        // Every build writes a manifest, `.rosetta-manifest.json`, in this directory, listing each file it generated
+        // with its source, the source's hash, the handler and loaders that generated it, and the hash of its content.
+        // The next build deletes the files listed there that it no longer generates (e.g., because their source was
+        // removed, or no handler matches it anymore), and running with the `clean` command deletes every file listed
+        // there. Files in this directory that aren't in the manifest are never touched.
         path: './demo/output',
 
+        // What to do with source files that no handler matches: `'copy'` them verbatim to their default
+        // destination (the source path, relative to its source dir, resolved against `output.path`), `'warn'`
+        // or `'error'` to list them in the problems reported at the end of the run (an error also makes the
+        // process exit with a non-zero code), or `'ignore'` them. The `--unmatched-files` command line option
+        // overrides this. The default is `'ignore'`.
+        unmatchedFiles: 'warn',
+
+        // Which handlers apply to each source: `'all'` the handlers whose conditions it satisfies (in which case
+        // they must not generate the same destination file), or only the `'first'` one, as with a group of handlers
+        // (see `oneOf` below), which makes it easy to end with a catch-all handler. The default is `'all'`.
+        matchMode: 'all',
+
         // Rules that define how each input files are transformed into output files.
         handlers: [
             {
                 test: /\.js$/i,
-                use: ['babel-loader']
+                use: ['babel-loader'],
+
+                // Generate source maps for this handler's output. Set to `true` or `'file'` to write
+                // a sibling `.map` file next to each destination file, or `'inline'` to embed the map in
+                // the destination file itself. Loaders see this as `this.sourceMap`. Forks inherit the
+                // setting from their parent unless they specify their own. The default is `false`.
+                sourceMap: true,
+
+                // Run this handler's loaders in a pool of worker threads (one per CPU), so CPU-heavy loaders don't
+                // all run on the main thread. Each UseEntry can override this with its own `parallel` property, and
+                // forks inherit it from their parent unless they specify their own. The default is `false`.
+                //
+                // Only loader modules (given by name or path, not as functions) can run in parallel, and their
+                // options must be serializable. Loaders running in parallel get the usual loader context, except
+                // for `this.resolveSync`, `this.importModule`, `this.getDependencies` and
+                // `this.getContextDependencies`, which aren't available to them.
+                parallel: false
             },
             {
                 test: /\.hbs$/i,
@@ -52,10 +104,33 @@ configuration = {
                 //  * `resourcePath`: Like `resource`, but excluding the query.
                 //  * `resourceQuery`: Only the query part of the `resource`, including the leading '?',
                 //      or an empty string if there is no query.
+                //  * `context`: The directory containing the source file.
+                //  * `resolve(context, request, callback)`: Resolve a webpack-style request (which may include inline
+                //      loaders, like `a-loader?x!./file?q`, and the `!`, `!!`, and `-!` prefixes) relative to the given
+                //      context directory. The callback is invoked with the request, with each loader and the resource
+                //      replaced by its absolute path. `resolveSync(context, request)` does the same, synchronously.
+                //
+                // Loaders additionally get `loadModule(request, callback)` and `importModule(request)`, which load
+                // another module through the loaders of the first handler that applies to it (plus any inline
+                // loaders in the request), and `exec(code, filename)`, which runs code as a CommonJS module.
                 //  * `emitWarning(string: message, [metadata: {}])`: Function to Emit a WARNING level log message.
                 //  * `emitError(string: message, [metadata: {}])`: Function to Emit an ERROR level log message.
-                //      This does _not_ cause an error to actually be raised at all.
-                //  * `log`: A logger instance for logging message. This is preferred over `emitWarning` and `emitError`.
+                //      This does _not_ cause an error to actually be raised at all. The message can also be an Error.
+                //      Emitted warnings and errors are collected per source (and per loader, when emitted by one),
+                //      along with any errors raised while generating outputs, and reported together at the end
+                //      of the run; other outputs are still generated. Any error makes the process exit with a
+                //      non-zero code, as do warnings with the `--warnings-as-errors` or `--max-warnings N` command
+                //      line options. With `--bail`, the run instead stops at the first error. Errors thrown by
+                //      loaders are reported with the loader and handler that failed, and if the error gives a
+                //      location (as errors from babel, js-yaml, and handlebars do), the line and column, with a
+                //      code frame of the loader's input there. Only the input of the first loader is the source;
+                //      for the others, the line and column are given as in the input of that loader (the output
+                //      of the previous one).
+                //  * `log`: A logger for the source, with a method for each log level (`critical`, `error`, `warning`,
+                //      `info`, `debug`, and `trace`), each invoked with a message (or an array of lines) and optional
+                //      metadata. Messages are tagged with the source (and the loader, in loader contexts), and are
+                //      logged as set with the `--log-level`, `--quiet`, `--log-format`, and `--log-file` command line
+                //      options. Unlike `emitWarning` and `emitError`, logging doesn't affect the outcome of the run.
                 //  * `destDir`: A string giving the absolute path to the destination directory, as specified in the
                 //      `output.path` configuration property.
                 //  * `source`: An object describing the source file being handled, with the following properties:
@@ -74,20 +149,20 @@ configuration = {
                 // ## Conditions
                 //
                 // To determine if a handler is applied to an input file, the file
-                // is tested against a `Condition` composed from `test`, `include`, and `exclude`.
-                // Each of which are additionally `Condition` objects. The `test` and `include`
-                // are actually synonymous, but the convention is to use a regexp or array of regexps
-                // in `test`, and a String or array of Strings in `include`. In order for the condition
-                // to pass, the `test` _and_ `include` must both pass, _and_ the `exclude` condition
-                // must _not_ pass.
-                //
-                // These are somewhat simplified compared to webpack, in order to avoid
-                // implementing logic in a configuration object that could just as well
-                // be implemented in a function.
+                // is tested against a `Condition` composed from `test`, `include`, and `exclude` (and any of the
+                // other condition object properties described below). Each of which are additionally `Condition`
+                // objects. The `test` and `include` are actually synonymous, but the convention is to use a regexp
+                // or array of regexps in `test`, and a String or array of Strings in `include`. In order for the
+                // condition to pass, the `test` _and_ `include` must both pass, _and_ none of the `exclude`
+                // conditions may pass.
                 //
                 // A `Condition` can be:
-                // * a String: if the _absolute_ path of the source file _begins_ with the given string,
-                //      the condition passes.
+                // * a String: if it's an _absolute_ path, and the _absolute_ path of the source file _begins_ with
+                //      the given string, the condition passes. An absolute path with glob characters (`*`, `?`,
+                //      `[]`, or `{}`) is instead a glob pattern that the absolute path must match. A _relative_ path
+                //      is a glob pattern that the source file's path, relative to its source directory, must match,
+                //      e.g., `'**/*.hbs'` matches every handlebars file, and `'partials/**'` every file in the
+                //      `partials` directory.
                 // * a RegExp: the _absolute_ path is tested against the given regular expression,
                 //      and the condition passes if and only if the test passes.
                 // * a function: Invoked with arguments described below. The condition passes if and
@@ -99,12 +174,26 @@ configuration = {
                 //      a "don't care", which means it will neither pass not fail. If used for a `test`
                 //      or `include` condition, then it acts as a pass. If used for an `exclude` conditoin,
                 //      then it acts as a fail (meaning it will _not_ fail the parent condition).
-                // * An object with `test`, `include`, and `exclude` properties as described above.
+                // * An object with `test`, `include`, and `exclude` properties as described above, and any of:
+                //      * `and`, `or`: Arrays of conditions, all (or any) of which must pass.
+                //      * `not`: A condition that must _not_ pass.
+                //      * `content`: A test of the source file's content, decoded as UTF-8: a RegExp it must match,
+                //          a String it must contain, or a function invoked with the content and the `HandlerContext`.
+                //          With `contentBytes: N`, only the first N bytes of the content are tested.
+                //      * `frontMatter`: A test of the source file's YAML front matter (the block between `---` lines at
+                //          the very start of the file, an empty object if there's none): the name of a key it must
+                //          have, a function invoked with it and the `HandlerContext`, or an object mapping keys to
+                //          the values they must have (or RegExps or functions to test the values with). An invalid
+                //          front matter raises an error.
+                //      Content tests are only run if the other conditions of the object pass.
                 //      Additionally, you can specify a `__strict__` property with a truthy value: the default
                 //      value is true. If the value of the property is true, then any unrecognized _own_ properties
                 //      on the object will cause an error to be raised. This is useful for avoiding issues
                 //      that may arise from unsupported properties, e.g., those copied from a webpack config.
                 //
+                // For instance, "all handlebars files except those under `partials/`" is
+                // `{test: /\.hbs$/, exclude: 'partials/**'}`.
+                //
                 // ### Condition Functions
                 //
                 // If a function is provided as a condition, it will be invoked with two arguments:
@@ -134,9 +223,13 @@ configuration = {
                 // A `UseEntry` can be any of the following:
                 //
                 //  * A string, which is simply a shortcut for specifying the same value as the `loader` property of
-                //      a UseEntry object (descirbed below).
-                //  * A function which returns a `UseEntry` or a Promise that fulfills with a `UseEntry`. The function is
-                //      invoked with the HandlerContext as the only argument.
+                //      a UseEntry object (descirbed below). As in webpack, the string can include a query giving the
+                //      loader's options, e.g., `'babel-loader?cacheDirectory'`, or a JSON query, like
+                //      `'babel-loader?{"cacheDirectory":true}'`.
+                //  * A function which returns a `UseEntry` (or an array of them) or a Promise that fulfills with one. The
+                //      function is invoked with the HandlerContext as the only argument, for each source the handler
+                //      applies to, so different sources can be transformed with different loaders. Note that this means
+                //      a loader function must be given as the `loader` property of a UseEntry object, not directly.
                 //  * An object, as described below.
                 //
                 // Each UseEntry is applied in sequence from first to last to transform the source input to the output.
@@ -147,10 +240,16 @@ configuration = {
                 //
                 // * `loader`: _Required_. A `LoaderSpecification` as described below.
                 // * `options`: _Optional_. An arbitrary value of options to pass to the loader. Typically an object or string.
+                //      The loader sees these as `this.query`: the object itself, or for a string, the query string (with a
+                //      leading '?'). `query` is accepted as a legacy alias for `options`.
                 // * `ident`: _Optional_. A string or function providing a hopefully unique identifier for this entry.
                 //      Without this, we will attempt to stringify the loader and options, which works in most cases.
                 //      If a function, it should return a String or a Promise that fulfills with a string without a timeout.
-                //      The function will be passed the _resolved_ loader (described below), and the `options` value.
+                //      The function will be passed the _resolved_ loader (described below), and the `options` value
+                //      (as an object). The ident is used to attribute errors and warnings to the loader, is part of the
+                //      transformation cache key, and is available to loaders as the `ident` of each of `this.loaders`.
+                // * `parallel`: _Optional_. Whether to run this loader in a worker thread; see the `parallel` property
+                //      of handlers. Defaults to the handler's setting.
                 // * `__strict__`: _Optional_. If defined with a truthy value, or not defined, then an error will be
                 //      raised if the UseEntry object has any unrecognized properties.
                 //
@@ -167,6 +266,15 @@ configuration = {
                 //      * `name`: The name of the loader.
                 //      * `func`: The function to be used _as_ the loader.
                 //
+                // As in webpack, loaders receive their input content as a String, unless the loader is a
+                // "raw" loader (the module, or function, has a truthy `raw` property), in which case it receives
+                // a Buffer. Loaders get their options with `this.getOptions([schema])`, which parses the query string
+                // if need be (the same way `loader-utils.getOptions(this)` does), and validates the options against
+                // the given JSON schema, if any; invalid options are reported along with the handler they're from.
+                // Loaders can produce either a String or a Buffer, and Buffers are written to the
+                // destination untouched, so binary files can be transformed as well. A handler with no loaders
+                // at all copies the source verbatim.
+                //
                 use: [
                     'yaml-loader'
                 ],
@@ -176,6 +284,14 @@ configuration = {
                 // The parent handler is applied first, and the output is written to the destination file if appropriate,
                 // then the resulting output is used as _input_ to each of the children handlers. If the parent handler
                 // is not run for an input, then none of the children are applied either.
+                //
+                // ## Handler Groups
+                // A handler definition with a `oneOf` property, an array of handler definitions, is a group of
+                // handlers that are tried in order, and only the first one that applies to a source handles it
+                // (e.g., special-case some YAML files, and handle all the others normally). The group's own `test`,
+                // `include`, and `exclude` must be satisfied for any of them to apply, and they inherit its `sourceMap`
+                // and `parallel` properties. A group can't have `use`, `destination`, or `fork` properties, but forks
+                // and members of groups can be groups themselves.
                 // XXX: Apply fork.
                 fork: [
                     {
@@ -187,7 +303,7 @@ configuration = {
                                 test: /foo/,
                                 destination: (relativePath) => `${relativePath}.length`,
                                 use: [
-                                    (content) => String(content.length)
+                                    {loader: (content) => String(content.length)}
                                 ],
                                 fork: [
                                     {
@@ -203,7 +319,63 @@ configuration = {
         ]
     },
 
+    // Webpack's `module.rules`, so the rules of an existing webpack config can be reused as they are. They're
+    // translated into a single handler that applies after those in `output.handlers`, to every source that at
+    // least one rule applies a loader to. As in webpack, the loaders of all the rules that match a source are
+    // combined, ordered by their `enforce` property, and only the first matching rule in a `oneOf` applies.
+    //
+    // Rules support the `test`, `include`, `exclude`, `resource`, and `resourceQuery` conditions (with webpack's
+    // semantics, including `and`, `or`, and `not`), the `loader` (with `options` or `query`), `loaders`, and `use`
+    // properties, and the `oneOf`, `rules`, and `enforce` properties. Rules with conditions that only make sense in
+    // a webpack compilation (like `issuer`) are ignored, and properties that don't affect loaders (like `parser`
+    // or `type`) are ignored too, with a warning either way.
+    module: {
+        rules: []
+    },
 
+    // Plugins extend the build without changing the tool, e.g. to add a banner to outputs, report on the build,
+    // or post-process written files. Each plugin is a function, or an object with an `apply` method, which is
+    // invoked with an object of hooks to tap, like webpack plugins do: `hooks.done.tap('my-plugin', fn)`. Tapped
+    // functions are invoked one after the other, in the order plugins tapped them, and can return a Promise to
+    // delay the build until it fulfills. A function that throws (or rejects) fails the output it was invoked for,
+    // or for the `beforeRun`, `sourceDiscovered`, and `done` hooks, the whole build. The hooks, in the order they
+    // are invoked, are:
+    //
+    //  * `beforeRun(configuration)`: Before anything is built. In watch mode (`--watch`), only before the
+    //      initial build.
+    //  * `sourceDiscovered(source)`: For each source file (see the HandlerContext's `source` above) found in the
+    //      `sourceDirs`, before the handlers that apply to it are determined. In watch mode, also whenever a
+    //      source is re-evaluated because it (or one of its dependencies) changed.
+    //  * `beforeTransform(output)`: Before the content of each output is generated by its handler's loaders (or
+    //      taken from the transformation the handler shares with its forks), whether to write it, or just to
+    //      describe it (with `--dry-run` or `--plan-json`). `output` describes the output, with its `source`, the
+    //      absolute path of its `destination`, and the location of its `handler` in the config (e.g.,
+    //      `'output.handlers[0]'`). Outputs of unmatched files that are copied don't invoke this hook, or the next.
+    //  * `afterTransform(content, output)`: With the content (a String or a Buffer) generated for each output,
+    //      which a function can replace by returning new content (returning nothing keeps it). Each function gets
+    //      the content returned by the previous one. If the content is replaced, the output's source map (which
+    //      no longer matches it) is dropped, with a warning.
+    //  * `beforeEmit(content, output)`: With the final content of each output, before it's written. For unmatched
+    //      files that are copied, the `handler` of the `output` is `null`.
+    //  * `afterEmit(files, output)`: After each output is written, with the files written for it (or left
+    //      unchanged because they already had the content), as `{path, hash, changed}` objects.
+    //  * `done(result)`: After the build, with a description of it: its `outputs` (with the `source`,
+    //      `destination`, `handler`, `status`, and `files` of each), the `removedFiles` that the previous build
+    //      generated but this one didn't, the `timings` of the build, and the `warnings` and `errors` that were
+    //      reported (with their `source`, `loader`, and `message`). Not invoked if the build fails as a whole.
+    //      In watch mode, invoked after every build, with just the outputs that it generated, and no `timings`.
+    plugins: [
+        // {
+        //     apply: (hooks) => {
+        //         hooks.afterTransform.tap('banner', (content, {destination}) => {
+        //             return destination.endsWith('.js') ? `/* Generated, do not edit. */\n${content}` : content;
+        //         });
+        //         hooks.done.tap('summary', ({outputs, errors}) => {
+        //             console.log(`${outputs.length} output(s), ${errors.length} error(s)`);
+        //         });
+        //     }
+        // }
+    ]
 };
 
 module.exports = configuration;
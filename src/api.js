@@ -0,0 +1,115 @@
+/**
+ * The programmatic API, for driving builds from other scripts (and tests) instead of the command line:
+ *
+ *     import {build} from 'rosetta';
+ *
+ *     build({sourceDirs: ['src'], context: '.', output: {path: 'lib', handlers: [...]}}, {rootDir: __dirname})
+ *         .then((result) => console.log(`Generated ${result.generatedFiles.length} file(s)`))
+ *         .catch((error) => console.error(error.message, error.result));
+ */
+import _ from 'lodash';
+import R from 'ramda';
+import path from 'path';
+import process from 'process';
+import {createBuildOptions, runBuild} from './main';
+import {loadConfigs, resolveConfigs} from './services/config-loader';
+import {adaptLogger} from './services/logger';
+import {wrapError} from './services/error-utils';
+
+export {Logger} from './services/logger';
+
+/**
+ * The build options that are passed on to the build as they are.
+ */
+const PASSED_OPTIONS = ['unmatchedFiles', 'bail', 'concurrency', 'warningsAsErrors', 'maxWarnings', 'debug'];
+
+function describeProblems(problems) {
+    return problems.map(({source, loader, message, problem, metadata}) => {
+        return {source, loader, message, error: problem instanceof Error ? problem : null, metadata};
+    });
+}
+
+function createBuildResult(options, {outputs = [], removedFiles = [], timings = {}} = {}) {
+    const [changedFiles, unchangedFiles] = _.partition(_.flatMap(outputs, 'files'), 'changed');
+    return {
+        outputs,
+        generatedFiles: changedFiles.map(R.prop('path')),
+        unchangedFiles: unchangedFiles.map(R.prop('path')),
+        removedFiles,
+        warnings: describeProblems(options.diagnostics.getWarnings()),
+        errors: describeProblems(options.diagnostics.getErrors()),
+        timings
+    };
+}
+
+/**
+ * Create the error a build rejects with: the given `error` if the build failed as a whole, or else an error
+ * describing the problems in the given `result`. Either way, the error has the `result` of the build.
+ */
+function createBuildError(result, error = null) {
+    const problemCounts = `${result.errors.length} error(s) and ${result.warnings.length} warning(s)`;
+    const buildError = error
+        ? wrapError(error, 'Build failed: {message}')
+        : new Error(`Build failed: ${problemCounts} occurred`);
+    return Object.assign(buildError, {result});
+}
+
+/**
+ * Build the given config, without touching the process (its exit code, or the console, unless the given
+ * logger logs to it).
+ *
+ * @param  {*} config           A config object, or anything a config file can export (a function invoked
+ *                              with `(env, options)`, a Promise, or an array of any of these), or the path to a
+ *                              config file, relative to the current directory.
+ * @param  {Object} options     _Optional_ build options, like the command line options:
+ *
+ *  * `rootDir`: The project's root directory, relative to the current directory. Defaults to the current directory.
+ *  * `cacheDir`: Cache transformations in the given directory, relative to the current directory.
+ *  * `env`: The environment passed to the config, if it is (or exports) a function.
+ *  * `logger`: A `Logger`, or any object with some of its methods (`error`, `warning`, `info`, `debug`, etc.),
+ *      like the `console`. Nothing is logged by default.
+ *  * `unmatchedFiles`, `bail`, `concurrency`, `warningsAsErrors`, `maxWarnings`, `debug`: As on the command line.
+ *
+ * @return {Promise<Object>}    A promise for the result of the build, an object with:
+ *
+ *  * `outputs`: An array of objects describing each output: its `source` and `destination`, the location of the
+ *      `handler` that generated it in the config, its `status` (`'generated'`, `'unchanged'`, or `'failed'`), and
+ *      its `files` (the destination file and any others written with it), as `{path, changed}` objects.
+ *  * `generatedFiles`: The absolute paths of the files that were written.
+ *  * `unchangedFiles`: The absolute paths of the files that were skipped because they already had the generated
+ *      content.
+ *  * `removedFiles`: The absolute paths of files generated by the previous build that were removed.
+ *  * `warnings`, `errors`: The problems that occurred, as objects with the `source` and `loader` they relate to
+ *      (if known), the `message`, the `error` (if the problem was an Error), and any `metadata`.
+ *  * `timings`: The time, in milliseconds, spent finding the outputs to generate (`collect`), generating them
+ *      (`generate`), and in `total`.
+ *
+ * The promise rejects if the build fails as a whole, or if there were any errors (or more warnings than the
+ * `warningsAsErrors` and `maxWarnings` options allow). The error has the `result` of the build, which still
+ * describes every output that was generated.
+ */
+export function build(config, options = {}) {
+    const {env = {}, logger = null, rootDir = process.cwd(), cacheDir = null} = options;
+    const buildOptions = createBuildOptions(Object.assign(_.pick(options, PASSED_OPTIONS), {
+        log: adaptLogger(logger),
+        rootDir: path.resolve(rootDir),
+        cacheDir: cacheDir && path.resolve(cacheDir)
+    }));
+    const promiseForConfigs = typeof config === 'string'
+        ? loadConfigs(path.resolve(config), env, options)
+        : resolveConfigs(config, env, options);
+
+    return promiseForConfigs
+        .then((configs) => runBuild(buildOptions, configs))
+        .catch((error) => {
+            throw createBuildError(createBuildResult(buildOptions), error);
+        })
+        .then((buildResult) => {
+            const result = createBuildResult(buildOptions, buildResult);
+            if (buildOptions.diagnostics.getExitCode(buildOptions)) {
+                throw createBuildError(result);
+            }
+            return result;
+        })
+        .finally(() => buildOptions.workerPool.close());
+}
@@ -1,11 +1,36 @@
 import yargs from 'yargs';
-import {main} from './main';
+import {main, watch, clean, explain} from './main';
 import process from 'process';
 import path from 'path';
-import {Logger} from './services/logger';
+import {Logger, LOG_LEVELS, LOG_FORMATS} from './services/logger';
+import {loadConfigs} from './services/config-loader';
+import {getDeepStackTrace} from './services/error-utils';
 import projectData from '../../package.json';
 import Promise from 'bluebird';
 import _ from 'lodash';
+import R from 'ramda';
+
+/**
+ * The options that take `-` as a value, for stdout.
+ */
+const STDOUT_OPTIONS = ['--plan-json'];
+
+/**
+ * yargs parses a lone `-` as a positional argument rather than as the value of the option before it, so join
+ * it to the options that accept it: `--plan-json -` becomes `--plan-json=-`. Arguments after `--` are kept.
+ */
+function joinStdoutValues(argv) {
+    const endOfOptions = argv.indexOf('--');
+    const options = endOfOptions < 0 ? argv : argv.slice(0, endOfOptions); // eslint-disable-line no-magic-numbers
+    const rest = argv.slice(options.length);
+    const joined = options.reduce((result, arg) => {
+        if (arg === '-' && STDOUT_OPTIONS.includes(_.last(result))) {
+            return [...R.init(result), `${R.last(result)}=-`];
+        }
+        return [...result, arg];
+    }, []);
+    return [...joined, ...rest];
+}
 
 export function cli() {
 
@@ -13,14 +38,24 @@ export function cli() {
     const resolvePath = (input) => path.resolve(CWD, input);
 
     const args = yargs
+        .usage('Usage: $0 [clean | explain <file>] [options]\n\n'
+            + 'Generates the outputs of the config. With `clean`, removes every file generated by previous builds '
+            + '(as listed in the manifest of each output path) instead, without touching other files. With '
+            + '`explain <file>`, shows why each handler does or doesn\'t apply to the given file (relative to the '
+            + 'current directory), and the destination and loaders of those that do, without generating anything.')
         .option('config', {
             alias: 'c',
-            description: 'path to the config file, relative to the current directory.',
+            description: 'path to the config file, relative to the current directory. '
+                + 'Can be a .js, .cjs, .mjs, .json, .yaml or .yml file.',
             default: './.transpilation-config.js',
             requiresArg: true,
             string: true,
             coerce: resolvePath
         })
+        .option('env', {
+            description: 'The environment passed to the config, if it exports a function. '
+                + 'Use dots to build an object, e.g.: --env.production --env.target=node'
+        })
         .option('root-dir', {
             description: 'The path to the project\'s root directory.',
             default: process.cwd(),
@@ -28,20 +63,153 @@ export function cli() {
             string: true,
             coerce: resolvePath
         })
+        .option('watch', {
+            alias: 'w',
+            description: 'Keep running, and regenerate outputs when sources or their dependencies change.',
+            default: false,
+            boolean: true
+        })
+        .option('cache-dir', {
+            description: 'Cache transformations in the given directory, relative to the current directory. '
+                + 'Overrides the `cache` config property.',
+            requiresArg: true,
+            string: true,
+            coerce: resolvePath
+        })
+        .option('unmatched-files', {
+            description: 'What to do with source files that no handler matches. '
+                + 'Overrides the `output.unmatchedFiles` config property.',
+            choices: ['copy', 'ignore', 'warn', 'error'],
+            requiresArg: true,
+            string: true
+        })
+        .option('dry-run', {
+            description: 'List every output that would be generated, with the handler and loaders that generate it, '
+                + 'without writing anything.',
+            default: false,
+            boolean: true
+        })
+        .option('plan-json', {
+            description: 'Like --dry-run, but write the list of outputs as JSON to the given file, '
+                + 'relative to the current directory, or to stdout for "-".',
+            requiresArg: true,
+            string: true,
+            coerce: (input) => {
+                return input === '-' ? input : resolvePath(input);
+            }
+        })
+        .option('bail', {
+            description: 'Stop at the first error, instead of generating every output that can be generated.',
+            default: false,
+            boolean: true
+        })
+        .option('warnings-as-errors', {
+            description: 'Exit with a non-zero code if any warnings were reported.',
+            default: false,
+            boolean: true
+        })
+        .option('max-warnings', {
+            description: 'Exit with a non-zero code if more than the given number of warnings were reported.',
+            requiresArg: true,
+            number: true
+        })
+        .option('concurrency', {
+            description: 'The maximum number of source files to read, transform and write at once. '
+                + 'Unlimited by default.',
+            requiresArg: true,
+            number: true
+        })
         .option('debug', {
-            description: 'Turn on debugging.',
+            description: 'Turn on debugging: print stack traces, and log debug messages unless --log-level is given.',
             default: false,
             boolean: true
         })
+        .option('log-level', {
+            description: 'The least severe level of messages to log. The default is "info" ("debug" with --debug).',
+            choices: LOG_LEVELS,
+            requiresArg: true,
+            string: true
+        })
+        .option('quiet', {
+            alias: 'q',
+            description: 'Only log errors. The same as --log-level error.',
+            default: false,
+            boolean: true
+        })
+        .option('log-format', {
+            description: 'How to format log messages: "text", "pretty" (for people, colored on a terminal), '
+                + 'or "json" (one JSON object per line, for tools).',
+            choices: LOG_FORMATS,
+            default: 'text',
+            requiresArg: true,
+            string: true
+        })
+        .option('log-file', {
+            description: 'Also append log messages to the given file, relative to the current directory.',
+            requiresArg: true,
+            string: true,
+            coerce: resolvePath
+        })
+        .check((argv) => {
+            if (argv.watch && (argv.dryRun || argv.planJson)) {
+                throw new Error('--watch cannot be combined with --dry-run or --plan-json');
+            }
+            if (argv.quiet && argv.logLevel) {
+                throw new Error('--quiet cannot be combined with --log-level');
+            }
+            const {concurrency} = argv;
+            const minimumConcurrency = 1;
+            const isPositiveInteger = Number.isInteger(concurrency) && concurrency >= minimumConcurrency;
+            if (!_.isUndefined(concurrency) && !isPositiveInteger) {
+                throw new Error('--concurrency must be a positive integer');
+            }
+            const [command, ...commandArgs] = argv._;
+            const commandArgCounts = {clean: 0, explain: 1}; // eslint-disable-line no-magic-numbers
+            if (command && !_.has(commandArgCounts, command)) {
+                throw new Error(`Unknown command: ${argv._.join(' ')}`);
+            }
+            if (command && commandArgs.length !== commandArgCounts[command]) {
+                throw new Error(command === 'explain'
+                    ? 'The explain command takes the path of a file'
+                    : `Unexpected arguments to the ${command} command: ${commandArgs.join(' ')}`);
+            }
+            return true;
+        })
         .strict()
-        .argv;
-
-    // TODO: Use js-interpret to load from various languages.
-    const configData = require(args.config);
+        .parse(joinStdoutValues(process.argv.slice(2))); // eslint-disable-line no-magic-numbers
 
+    let logLevel = args.logLevel || (args.debug ? 'debug' : 'info');
+    if (args.quiet) {
+        logLevel = 'error';
+    }
     const options = Object.assign({
-        log: new Logger(projectData.name),
-    }, _.pick(args, ['rootDir', 'debug']));
+        log: new Logger(projectData.name, {
+            level: logLevel,
+            format: args.logFormat,
+            file: args.logFile,
+            // Keep stdout for the plan.
+            stderr: args.planJson === '-'
+        }),
+    }, _.pick(args, [
+        'rootDir', 'debug', 'cacheDir', 'unmatchedFiles', 'dryRun', 'planJson',
+        'bail', 'warningsAsErrors', 'maxWarnings', 'concurrency'
+    ]));
 
-    main(options, [Promise.resolve(configData)]);
+    const [command, commandArg] = args._;
+    let run = main;
+    if (command === 'clean') {
+        run = clean;
+    }
+    else if (command === 'explain') {
+        run = (_options, promisesForConfigs) => explain(_options, promisesForConfigs, resolvePath(String(commandArg)));
+    }
+    else if (args.watch) {
+        run = watch;
+    }
+    return loadConfigs(args.config, args.env, args)
+        .then((configs) => run(options, configs.map((config) => Promise.resolve(config))))
+        .catch((error) => {
+            process.exitCode = 1;
+            console.error(args.debug ? getDeepStackTrace(error) : error.message); // eslint-disable-line no-console
+        });
 }
@@ -3,16 +3,27 @@ import _ from 'lodash';
 import R from 'ramda';
 import {Configuration} from './services/configuration-service';
 import {wrapError, getDeepStackTrace} from './services/error-utils';
+import {Watcher} from './services/watcher';
+import {Diagnostics, describeLoaderFailure} from './services/diagnostics';
+import {Manifest, updateManifest} from './services/manifest';
+import {LoaderWorkerPool} from './services/worker-pool';
+import {getConcurrency} from './services/concurrency';
 import process from 'process';
+import path from 'path';
+import * as mzfs from 'mz/fs';
 
 const lengthGreaterThanOne = (list) => list.length > 1; // eslint-disable-line no-magic-numbers
-const getOutputGeneratorDestination = (gen) => gen.getDestination();
-const getOutputGeneratorOrigin = (gen) => gen.getOrigin();
+const getTargetDestination = (target) => target.destination;
+const getTargetOrigin = (target) => target.origin;
 
-function assertNoMultiplyTargetedDestinations(options, outputGenerators) {
-    const generatorsByDest = R.groupBy(getOutputGeneratorDestination, outputGenerators);
-    const destinationsTargetedMultipleTimes = R.filter(lengthGreaterThanOne)(generatorsByDest);
-    if (destinationsTargetedMultipleTimes.length) {
+/**
+ * Given an array of targets, objects with the `destination` path of a file to be written and a
+ * description of its `origin`, raise an error if any destination is targeted more than once.
+ */
+function assertNoMultiplyTargetedDestinations(options, targets) {
+    const targetsByDest = R.groupBy(getTargetDestination, targets);
+    const destinationsTargetedMultipleTimes = R.filter(lengthGreaterThanOne)(targetsByDest);
+    if (!_.isEmpty(destinationsTargetedMultipleTimes)) {
         options.log.error(
             'At least one destination file is targeted by multiple transformations, no output generated.',
             {
@@ -23,15 +34,15 @@ function assertNoMultiplyTargetedDestinations(options, outputGenerators) {
             const logBuilder = options.log.multilineLogBuilder();
             logBuilder.appendLine(
                 'The following destination files are targeted by multiple transformations:');
-            _.forOwn(destinationsTargetedMultipleTimes, (dest, generators) => {
+            _.forOwn(destinationsTargetedMultipleTimes, (conflictingTargets, dest) => {
                 logBuilder.appendLine(`  * ${dest}`);
-                generators.forEach((gen) => {
-                    logBuilder.appendLine(`      <-- ${getOutputGeneratorOrigin(gen)}`);
+                conflictingTargets.forEach((target) => {
+                    logBuilder.appendLine(`      <-- ${getTargetOrigin(target)}`);
                 });
             });
             logBuilder.addMetaData({
-                conflictingTargets: R.mapObjIndexed((generators) => {
-                    return generators.map(getOutputGeneratorOrigin);
+                conflictingTargets: R.mapObjIndexed((conflictingTargets) => {
+                    return conflictingTargets.map(getTargetOrigin);
                 })(destinationsTargetedMultipleTimes)
             });
             logBuilder.logWith(options.log.error);
@@ -40,27 +51,465 @@ function assertNoMultiplyTargetedDestinations(options, outputGenerators) {
     }
 }
 
-export function main(options, promisesForConfigs) {
+/**
+ * Check that no two of the given output generators write the same destination file. Returns a promise that
+ * rejects if they do. Files emitted by loaders are only known once an output is transformed, so they're
+ * checked as each output is generated instead (see `generateOutputs`).
+ */
+function assertNoConflictingOutputs(options, outputGenerators) {
+    const destinationTargets = outputGenerators.map((gen) => {
+        return {destination: gen.getDestination(), origin: gen.getOrigin()};
+    });
+    return Promise.try(() => assertNoMultiplyTargetedDestinations(options, destinationTargets));
+}
+
+/**
+ * Invoke the given function (which returns a promise) with each of the given output generators, source by source,
+ * with at most `options.concurrency` sources at once. Once every output of a source is done with, they're released
+ * (see `OutputGenerator#releaseOutput`), so only the content of the sources in progress is kept in memory.
+ * Returns a promise for an array of the results.
+ */
+function mapOutputsBySource(options, outputGenerators, fn) {
+    const generatorsBySource = _.values(_.groupBy(outputGenerators, (gen) => gen.getSource().absolutePath));
+    return Promise.map(generatorsBySource, (sourceGenerators) => {
+        return Promise.map(sourceGenerators, fn)
+            .finally(() => sourceGenerators.forEach((gen) => gen.releaseOutput()));
+    }, {concurrency: getConcurrency(options)})
+        .then(_.flatten);
+}
+
+/**
+ * Create a function that claims the files emitted by the loaders of an output (given its generator and the
+ * paths of the files), raising an error if any of them is the destination of an output, or claimed by
+ * another output, among the given generators, or written by the given other generators (which were already
+ * generated).
+ */
+function createEmittedFileClaimer(outputGenerators, otherGenerators = []) {
+    const claims = {};
+    outputGenerators.concat(otherGenerators).forEach((gen) => {
+        claims[gen.getDestination()] = gen;
+    });
+    otherGenerators.forEach((gen) => gen.getWrittenFiles().forEach(({path: filePath}) => {
+        claims[filePath] = gen;
+    }));
+    return (gen, emittedFiles) => emittedFiles.forEach((filePath) => {
+        const claimant = claims[filePath];
+        if (claimant && claimant !== gen) {
+            throw new Error(`${filePath} is targeted by multiple transformations: ${claimant.getOrigin()}, `
+                + `and ${gen.getOrigin()} (emitted by a loader)`);
+        }
+        claims[filePath] = gen;
+    });
+}
+
+/**
+ * Describe an output after an attempt to generate it, with the given `status` (`'generated'`, `'unchanged'`,
+ * or `'failed'`), for the result of a build.
+ */
+function describeGeneratedOutput(gen, status) {
+    return {
+        source: gen.getSource().absolutePath,
+        destination: gen.getDestination(),
+        handler: gen.getHandlerLocation(),
+        status,
+        files: gen.getWrittenFiles().map(R.pick(['path', 'changed']))
+    };
+}
+
+/**
+ * Generate every output, then log how many were generated, and how many were left unchanged because their
+ * files already had the generated content. A failure to generate one output is recorded in
+ * `options.diagnostics` and doesn't stop the others from being generated, unless `options.bail` is set, in
+ * which case the first failure (or the first error emitted by a loader) rejects the returned promise.
+ *
+ * Each output is transformed before anything is written for it, and fails if its loaders emit a file that
+ * another output writes (see `createEmittedFileClaimer`), including the given `otherGenerators`, for outputs
+ * that were generated before (when watching).
+ *
+ * Returns a promise for an array describing each output (see `describeGeneratedOutput`).
+ */
+function generateOutputs(options, outputGenerators, otherGenerators = []) {
+    const {diagnostics} = options;
+    const claimEmittedFiles = createEmittedFileClaimer(outputGenerators, otherGenerators);
+    return mapOutputsBySource(options, outputGenerators, (gen) => {
+        return gen.prepareOutput()
+            .then((emittedFiles) => claimEmittedFiles(gen, emittedFiles))
+            .then(() => gen.generateOutput())
+            .tap(() => {
+                if (options.bail && diagnostics.hasErrors()) {
+                    throw new Error(`Bailing out after an error: ${_.head(diagnostics.getErrors()).message}`);
+                }
+            })
+            .then((written) => {
+                return written ? 'generated' : 'unchanged';
+            })
+            .catch((error) => {
+                if (options.bail) {
+                    throw error;
+                }
+                diagnostics.addError({source: gen.getSource().absolutePath, loader: error.loader, problem: error});
+                return 'failed';
+            })
+            .then((status) => describeGeneratedOutput(gen, status));
+    })
+        .tap((outputs) => {
+            const {generated = 0, unchanged = 0} = _.countBy(outputs, 'status'); // eslint-disable-line no-magic-numbers
+            options.log.info(`${generated} output(s) generated, ${unchanged} unchanged.`);
+        });
+}
+
+/**
+ * Describe every output instead of generating it, for `--dry-run` and `--plan-json`. The plan is logged
+ * source by source, or with `options.planJson`, written as JSON to the given file (or to stdout for `-`).
+ * Failures to describe an output, including conflicts over the files emitted by loaders, are recorded as with
+ * `generateOutputs`.
+ */
+function reportPlan(options, outputGenerators) {
+    const {diagnostics} = options;
+    const claimEmittedFiles = createEmittedFileClaimer(outputGenerators);
+    return mapOutputsBySource(options, outputGenerators, (gen) => {
+        return gen.prepareOutput()
+            .then((emittedFiles) => claimEmittedFiles(gen, emittedFiles))
+            .then(() => gen.describeOutput())
+            .catch((error) => {
+                if (options.bail) {
+                    throw error;
+                }
+                diagnostics.addError({source: gen.getSource().absolutePath, loader: error.loader, problem: error});
+                return null;
+            });
+    })
+        .then((descriptions) => {
+            const outputs = _.sortBy(_.compact(descriptions), ['source', 'destination']);
+            if (options.planJson) {
+                const json = JSON.stringify({outputs}, null, 2); // eslint-disable-line no-magic-numbers
+                if (options.planJson === '-') {
+                    console.log(json); // eslint-disable-line no-console
+                    return null;
+                }
+                return mzfs.writeFile(options.planJson, `${json}\n`);
+            }
+            _.forOwn(_.groupBy(outputs, 'source'), (sourceOutputs, source) => {
+                options.log.info(source);
+                sourceOutputs.forEach(({destination, handler, loaders, emittedFiles}) => {
+                    options.log.info(`  -> ${destination} (${handler || 'copied'})`);
+                    if (!_.isEmpty(loaders)) {
+                        options.log.info(`       loaders: ${loaders.join(' -> ')}`);
+                    }
+                    emittedFiles.forEach((emittedFile) => options.log.info(`       emits: ${emittedFile}`));
+                });
+            });
+            options.log.info(`Dry run: ${outputs.length} output(s) would be generated, nothing was written.`);
+            return null;
+        });
+}
+
+/**
+ * Log the explanation of a condition (see `Condition#explain`) as a tree, each part on its own line.
+ */
+function logConditionExplanation(log, {label, satisfied, error, children}, indent) {
+    const result = satisfied ? '[pass]' : '[fail]';
+    log.info(`${indent}${result} ${label}${error ? ` (error: ${error.message})` : ''}`);
+    children.forEach((child) => logConditionExplanation(log, child, `${indent}    `));
+}
+
+/**
+ * Log the explanation of a handler (see `Handler#explain`), followed by those of its forks or group members.
+ */
+function logHandlerExplanation(options, explanation, indent) {
+    const {log} = options;
+    const {
+        location, skipped, satisfied, condition, destination, loaders, error, forks = [], members = []
+    } = explanation;
+    if (skipped) {
+        log.info(`${indent}${location}: skipped, an earlier handler applies`);
+        return;
+    }
+    log.info(`${indent}${location}: ${satisfied ? 'applies' : 'does not apply'}`);
+    const detailIndent = `${indent}    `;
+    logConditionExplanation(log, condition, detailIndent);
+    if (error) {
+        log.info(`${detailIndent}error: ${error.message}`);
+    }
+    if (!_.isUndefined(destination)) {
+        const description = destination
+            ? path.relative(options.rootDir, destination)
+            : `none (the destination function returned ${destination})`;
+        log.info(`${detailIndent}-> ${description}`);
+    }
+    if (loaders) {
+        const description = _.isEmpty(loaders) ? 'none, the source is copied' : loaders.join(' -> ');
+        log.info(`${detailIndent}   loaders: ${description}`);
+    }
+    [...members, ...forks].forEach((child) => logHandlerExplanation(options, child, detailIndent));
+}
+
+/**
+ * Log the summary of the problems recorded during a run, and set the process's exit code according to
+ * the exit policy in the options (`warningsAsErrors` and `maxWarnings`).
+ */
+function reportDiagnostics(options) {
+    options.diagnostics.report(options.log);
+    if (options.diagnostics.getExitCode(options)) {
+        process.exitCode = options.diagnostics.getExitCode(options);
+    }
+}
+
+/**
+ * Update the manifest in the output path of each configuration after a build, deleting the files that the
+ * previous build generated but this one didn't. `builds` is an array of `{configuration, outputGenerators}`
+ * objects, and `previousManifests` (optional) the manifests of the previous build, in the same order; they are
+ * read from the output paths if not given. Returns a promise for an array of `{manifest, removedFiles}` objects,
+ * with the updated manifests and the files removed from each output path.
+ */
+function updateManifests(options, builds, previousManifests = null) {
+    return Promise.all(builds.map(({configuration, outputGenerators}, index) => {
+        const outputPath = configuration.getOutputPath();
+        const promiseForPrevious = previousManifests
+            ? Promise.resolve(previousManifests[index])
+            : Manifest.load(options, outputPath);
+        return promiseForPrevious.then((previousManifest) => {
+            return updateManifest(options, outputPath, outputGenerators, previousManifest);
+        });
+    }));
+}
+
+/**
+ * Report an error that failed a command as a whole, with its stack trace (and those of its causes) if
+ * `options.debug` is set, and make the process exit with a non-zero code. The error is reported here only,
+ * not raised again.
+ */
+function reportFailure(options, originalError) {
+    const error = wrapError(originalError, 'Error transpiling content: {message}');
+    process.exitCode = 1;
+
+    console.error(options.debug ? getDeepStackTrace(error) : error.message);   // eslint-disable-line no-console
+    describeLoaderFailure(error).forEach((line) => console.error(`  ${line}`)); // eslint-disable-line no-console
+}
+
+/**
+ * Close the log (ending its log file, if any), once nothing more is logged. Loggers that can't be closed, like
+ * those given to the Node API, are left alone.
+ */
+function closeLog(options) {
+    return typeof options.log.close === 'function' ? options.log.close() : Promise.resolve();
+}
+
+/**
+ * Invoke the given hook of each configuration's plugins (see `createPluginHooks`) with the given arguments,
+ * one configuration after the other.
+ */
+function callHooks(configurations, hookName, ...args) {
+    return Promise.each(configurations, (configuration) => configuration.getHooks()[hookName].call(...args));
+}
+
+/**
+ * Describe a completed build to the `done` hook: the given `result` of the build (see `runBuild`), with the
+ * `warnings` and `errors` recorded in `options.diagnostics`.
+ */
+function describeDoneBuild(options, result) {
+    return Object.assign({}, result, {
+        warnings: options.diagnostics.getWarnings(),
+        errors: options.diagnostics.getErrors()
+    });
+}
+
+/**
+ * Create the options for a build from the given options: the problems that occur during the build are recorded
+ * in a new `Diagnostics` object, and loaders that run in parallel run in a new `LoaderWorkerPool`.
+ */
+export function createBuildOptions(_options) {
+    return Object.assign({}, _options, {diagnostics: new Diagnostics(), workerPool: new LoaderWorkerPool()});
+}
+
+/**
+ * Build the given configs (an array of promises for config objects) with the given build options (see
+ * `createBuildOptions`), without reporting anything but progress to `options.log`, or touching the process.
+ * Problems are recorded in `options.diagnostics`. The plugins of each config are invoked with the `Configuration`
+ * in the `beforeRun` hook, before anything is built, and with the result of the build (see below) and the
+ * `warnings` and `errors` recorded in `options.diagnostics` in the `done` hook, unless the build fails as a whole.
+ *
+ * Returns a promise for an object with the following properties, which rejects if the build fails as a whole
+ * (e.g., because of an invalid config, conflicting outputs, or an error with `options.bail`):
+ *
+ *  * `outputs`: An array of objects describing each output (see `describeGeneratedOutput`). Empty for a dry run.
+ *  * `removedFiles`: The absolute paths of files generated by the previous build that were removed.
+ *  * `timings`: The time, in milliseconds, spent finding the outputs to generate (`collect`), generating them
+ *      (`generate`), and in `total`.
+ */
+export function runBuild(options, promisesForConfigs) {
+    const startTime = Date.now();
+    const timings = {collect: 0, generate: 0}; // eslint-disable-line no-magic-numbers
+    let configurations = [];
     return Promise.all(promisesForConfigs.map((promiseForConfig) => {
-        return promiseForConfig
-            .then((config) => new Configuration(options, config))
-            .then((configuration) => configuration.getOutputGeneratorsForConfig());
+        return Promise.resolve(promiseForConfig).then((config) => new Configuration(options, config));
     }))
-        .then((outputGeneratorLists) => {
-            const outputGenerators = _.flatten(outputGeneratorLists);
-            assertNoMultiplyTargetedDestinations(options, outputGenerators);
-            return Promise.map(outputGenerators, (gen) => gen.generateOutput());
+        .then((createdConfigurations) => {
+            configurations = createdConfigurations;
+            return Promise.each(configurations, (configuration) => {
+                return configuration.getHooks().beforeRun.call(configuration);
+            });
+        })
+        .then(() => Promise.all(configurations.map((configuration) => {
+            return configuration.getOutputGeneratorsForConfig()
+                .then((outputGenerators) => ({configuration, outputGenerators}));
+        })))
+        .tap(() => {
+            timings.collect = Date.now() - startTime;
+        })
+        .then((builds) => {
+            const outputGenerators = _.flatten(builds.map(R.prop('outputGenerators')));
+            return assertNoConflictingOutputs(options, outputGenerators)
+                .then(() => {
+                    if (options.dryRun || options.planJson) {
+                        return reportPlan(options, outputGenerators)
+                            .then(() => ({outputs: [], removedFiles: []}));
+                    }
+                    const generateStartTime = Date.now();
+                    return generateOutputs(options, outputGenerators)
+                        .tap(() => {
+                            timings.generate = Date.now() - generateStartTime;
+                        })
+                        .then((outputs) => {
+                            return updateManifests(options, builds)
+                                .then((updates) => ({outputs, removedFiles: _.flatMap(updates, 'removedFiles')}));
+                        });
+                });
+        })
+        .then((result) => {
+            timings.total = Date.now() - startTime;
+            return Object.assign(result, {timings});
         })
-        .catch((originalError) => {
-            const error = wrapError(originalError, 'Error transpiling content: {message}');
-            process.exitCode = 1;
+        .tap((result) => callHooks(configurations, 'done', describeDoneBuild(options, result)));
+}
 
-            if (options.debug) {
-                console.error(getDeepStackTrace(error));    // eslint-disable-line no-console
-                throw error;
-            }
-            else {
-                console.error(error.message);       // eslint-disable-line no-console
-            }
+export function main(_options, promisesForConfigs) {
+    const options = createBuildOptions(_options);
+    return runBuild(options, promisesForConfigs)
+        .then(() => reportDiagnostics(options))
+        .catch((error) => {
+            reportDiagnostics(options);
+            reportFailure(options, error);
+        })
+        .finally(() => {
+            options.workerPool.close();
+            return closeLog(options);
         });
 }
+
+/**
+ * Like `main`, but instead of generating output once, keeps watching the sources and their dependencies
+ * and incrementally regenerates affected outputs. Returns a promise for the `Watcher`, which fulfills once
+ * the initial build is complete and watching has started. The `beforeRun` hook of each config's plugins is
+ * invoked once, before the initial build, and the `done` hook after every build, as with `runBuild` (but
+ * without `timings`, and with only the outputs that the build generated).
+ */
+export function watch(_options, promisesForConfigs) {
+    const options = createBuildOptions(_options);
+    return Promise.all(promisesForConfigs.map((promiseForConfig) => {
+        return Promise.resolve(promiseForConfig)
+            .then((config) => new Configuration(options, config));
+    }))
+        .then((configurations) => {
+            let manifests = null;
+            // What each build did, for the `done` hook. A rebuild generates the outputs of each affected source
+            // separately.
+            let outputs = [];
+            let removedFiles = [];
+            const watcher = new Watcher(options, configurations, {
+                assertNoConflicts: (outputGenerators) => assertNoConflictingOutputs(options, outputGenerators),
+                generate: (outputGenerators, otherGenerators) => {
+                    return generateOutputs(options, outputGenerators, otherGenerators)
+                        .tap((generatedOutputs) => {
+                            outputs = outputs.concat(generatedOutputs);
+                        });
+                },
+                update: (builds) => {
+                    return updateManifests(options, builds, manifests)
+                        .then((updates) => {
+                            manifests = updates.map(R.prop('manifest'));
+                            removedFiles = _.flatMap(updates, 'removedFiles');
+                        });
+                },
+                report: () => {
+                    // Failures in the `done` hook are reported with the build's problems, since watching goes on.
+                    return callHooks(configurations, 'done', describeDoneBuild(options, {outputs, removedFiles}))
+                        .catch((error) => options.diagnostics.addError({problem: error}))
+                        .then(() => {
+                            outputs = [];
+                            removedFiles = [];
+                            options.diagnostics.report(options.log);
+                            options.diagnostics.clear();
+                        });
+                }
+            });
+            return Promise.each(configurations, (configuration) => {
+                return configuration.getHooks().beforeRun.call(configuration);
+            })
+                .then(() => watcher.start())
+                .then(() => watcher);
+        })
+        .catch((error) => {
+            return Promise.try(() => reportFailure(options, error))
+                .finally(() => closeLog(options));
+        });
+}
+
+/**
+ * Delete every file listed in the manifests of the given configs' output paths (i.e., every file generated
+ * by a previous build), and the manifests themselves, leaving any other files in the output paths untouched.
+ */
+export function clean(_options, promisesForConfigs) {
+    const options = Object.assign({}, _options, {diagnostics: new Diagnostics()});
+    return Promise.all(promisesForConfigs.map((promiseForConfig) => {
+        return promiseForConfig.then((config) => new Configuration(options, config));
+    }))
+        .then((configurations) => Promise.each(configurations, (configuration) => {
+            return Manifest.load(options, configuration.getOutputPath())
+                .then((manifest) => {
+                    const fileCount = manifest.getFiles().length;
+                    return manifest.clean()
+                        .then(() => {
+                            options.log.info(`Cleaned ${fileCount} file(s) from ${configuration.getOutputPath()}`);
+                        });
+                });
+        }))
+        .catch((error) => reportFailure(options, error))
+        .finally(() => closeLog(options));
+}
+
+/**
+ * Explain why each handler (and fork) of each configuration does or doesn't apply to the file at the given
+ * absolute path, for the `explain` command: the result of each part of its condition, and if it applies, its
+ * destination and loaders. Nothing is transformed or written.
+ */
+export function explain(_options, promisesForConfigs, filePath) {
+    const options = Object.assign({}, _options, {diagnostics: new Diagnostics()});
+    return Promise.resolve(mzfs.stat(filePath))
+        .catch((error) => {
+            throw wrapError(error, `Can't explain ${filePath}: {message}`);
+        })
+        .then(() => Promise.all(promisesForConfigs.map((promiseForConfig) => {
+            return promiseForConfig.then((config) => new Configuration(options, config));
+        })))
+        .then((configurations) => Promise.each(configurations, (configuration) => {
+            const outputPath = path.relative(options.rootDir, configuration.getOutputPath());
+            const source = configuration.createSourceFileForPath(filePath);
+            if (!source) {
+                options.log.info(`${filePath} is not in a source directory of the config for ${outputPath}`);
+                return null;
+            }
+            return configuration.explainSource(source)
+                .then((explanations) => {
+                    options.log.info(`${source.absolutePath} (config for ${outputPath})`);
+                    explanations.forEach((explanation) => logHandlerExplanation(options, explanation, '  '));
+                    if (!explanations.some(R.prop('satisfied'))) {
+                        const policy = configuration.getUnmatchedFilesPolicy();
+                        options.log.info(`  No handler applies, so the unmatched files policy applies: '${policy}'`);
+                    }
+                });
+        }))
+        .then(() => reportDiagnostics(options))
+        .catch((error) => reportFailure(options, error))
+        .finally(() => closeLog(options));
+}
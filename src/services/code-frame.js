@@ -0,0 +1,98 @@
+import _ from 'lodash';
+import R from 'ramda';
+import {getUnderlyingErrors} from './error-utils';
+
+/**
+ * The number of lines shown before and after the line of a code frame.
+ */
+const CONTEXT_LINES = 2;
+
+/**
+ * Handlebars parse errors only give the line, in their message.
+ */
+const PARSE_ERROR_LINE = /Parse error on line (\d+):/;
+
+const isLineNumber = (value) => Number.isInteger(value) && value > 0; // eslint-disable-line no-magic-numbers
+const isIndex = (value) => Number.isInteger(value) && value >= 0; // eslint-disable-line no-magic-numbers
+
+/**
+ * Get the location described by a single error, as `{line, column}` (both starting at 1, and `column` possibly
+ * `null`), or `null` if it doesn't describe one.
+ */
+function getOwnLocation(error) {
+    if (!error || typeof error !== 'object') {
+        return null;
+    }
+    const {sourceLocation, loc, mark, lineNumber, line, column} = error;
+    if (sourceLocation && isLineNumber(sourceLocation.line)) {
+        // Already normalized, e.g. by `serializeValue`.
+        return sourceLocation;
+    }
+    else if (loc && isLineNumber(loc.line)) {
+        // Babel (and acorn): 1-based line, 0-based column.
+        return {line: loc.line, column: isIndex(loc.column) ? R.inc(loc.column) : null};
+    }
+    else if (mark && isIndex(mark.line)) {
+        // js-yaml: 0-based line and column.
+        return {line: R.inc(mark.line), column: isIndex(mark.column) ? R.inc(mark.column) : null};
+    }
+    else if (isLineNumber(lineNumber)) {
+        // Handlebars exceptions: 1-based line, 0-based column.
+        return {line: lineNumber, column: isIndex(column) ? R.inc(column) : null};
+    }
+    else if (isLineNumber(line)) {
+        // Others, like postcss: 1-based line and column.
+        return {line, column: isLineNumber(column) ? column : null};
+    }
+    const parseError = PARSE_ERROR_LINE.exec(error.message);
+    return parseError ? {line: Number(parseError[1]), column: null} : null; // eslint-disable-line no-magic-numbers
+}
+
+/**
+ * Get the location in the input of a loader that the given error, thrown by the loader, refers to, from
+ * the error or any error it was caused by: babel's `loc`, js-yaml's `mark`, the `lineNumber` and `column`
+ * of handlebars exceptions, the line in handlebars parse error messages, or `line` and `column` properties.
+ * Returns `{line, column}` (both starting at 1, and `column` possibly `null`), or `null`.
+ */
+export function getErrorLocation(error) {
+    const locations = getUnderlyingErrors(error).map(getOwnLocation);
+    return locations.find(Boolean) || null;
+}
+
+/**
+ * Get the code frame that the given error, or any error it was caused by, already includes in its message, as
+ * babel's errors do (they give it in their `codeFrame` property, too), or `null`.
+ */
+export function getErrorCodeFrame(error) {
+    const withCodeFrame = getUnderlyingErrors(error).find((underlying) => typeof underlying.codeFrame === 'string');
+    return withCodeFrame ? withCodeFrame.codeFrame : null;
+}
+
+/**
+ * Format a code frame: the given line of the content, with a few lines around it, each prefixed with its line
+ * number, and a marker under the given column (if any). Returns an array of lines, which is empty if the
+ * content doesn't have the line.
+ */
+export function formatCodeFrame(content, {line, column = null}) {
+    const lines = String(content).split(/\r?\n/);
+    if (line > lines.length) {
+        return [];
+    }
+    const first = Math.max(line - CONTEXT_LINES, 1); // eslint-disable-line no-magic-numbers
+    const last = Math.min(line + CONTEXT_LINES, lines.length);
+    const gutterWidth = String(last).length;
+    const frame = _.range(first, last + 1).map((lineNumber) => { // eslint-disable-line no-magic-numbers
+        const marker = lineNumber === line ? '>' : ' ';
+        const text = lines[lineNumber - 1]; // eslint-disable-line no-magic-numbers
+        return _.trimEnd(`${marker} ${_.padStart(lineNumber, gutterWidth)} | ${text}`);
+    });
+    if (column) {
+        // Tabs are kept, so the marker lines up with the column however wide they are shown.
+        const lineText = lines[line - 1]; // eslint-disable-line no-magic-numbers
+        const indent = R.take(column - 1, lineText).replace(/[^\t]/g, ' '); // eslint-disable-line no-magic-numbers
+        const markerIndex = R.inc(line - first);
+        const markerLine = `  ${' '.repeat(gutterWidth)} | ${indent}^`;
+        frame.splice(markerIndex, 0, markerLine); // eslint-disable-line no-magic-numbers
+    }
+    return frame;
+}
@@ -0,0 +1,38 @@
+import Promise from 'bluebird';
+import R from 'ramda';
+
+/**
+ * Returns the maximum number of files to work on at once, from `options.concurrency`, as a number
+ * suitable for the `concurrency` option of `Promise.map`: `Infinity` if it is not set.
+ */
+export function getConcurrency(options) {
+    return options.concurrency || Infinity;
+}
+
+/**
+ * Create a function that limits how many tasks run at once. It is invoked with a task, a function that
+ * returns a value or a promise, and returns a promise for the task's result; the task is only invoked once
+ * fewer than `concurrency` previously given tasks are still running.
+ */
+export function createLimiter(concurrency) {
+    const queue = [];
+    let running = 0;
+
+    const runNext = () => {
+        if (running < concurrency && queue.length) {
+            const {task, fulfill, reject} = queue.shift();
+            running = R.inc(running);
+            Promise.try(task)
+                .then(fulfill, reject)
+                .finally(() => {
+                    running = R.dec(running);
+                    runNext();
+                });
+        }
+    };
+
+    return (task) => new Promise((fulfill, reject) => {
+        queue.push({task, fulfill, reject});
+        runNext();
+    });
+}
@@ -0,0 +1,320 @@
+import Promise from 'bluebird';
+import _ from 'lodash';
+import R from 'ramda';
+import path from 'path';
+import util from 'util';
+import minimatch from 'minimatch';
+import yaml from 'js-yaml';
+import {wrapError} from './error-utils';
+
+/**
+ * The properties of a condition object, which are also the properties of a handler definition that make up
+ * its condition. `contentBytes` only qualifies `content`, so it isn't tested by itself.
+ */
+export const CONDITION_KEYS = [
+    'test', 'include', 'exclude', 'and', 'or', 'not', 'content', 'contentBytes', 'frontMatter'
+];
+
+/**
+ * Absolute paths with any of these characters are glob patterns, rather than prefixes.
+ */
+const GLOB_CHARACTERS = /[*?[\]{}]/;
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/;
+
+/**
+ * Conditions are compiled into nodes, each with a `label` describing it, and a `test` function that takes the
+ * absolute path of the source and the handler context, and returns a promise for whether the node is satisfied.
+ * Nodes that combine other nodes also have `children`, and a `combine` function that determines whether the node
+ * is satisfied from whether each of its children is (see `explainNode`).
+ */
+function leaf(label, test) {
+    return {label, test: (...args) => Promise.try(() => test(...args)).then(Boolean)};
+}
+
+/**
+ * Combined nodes test their children in order, and stop as soon as the result is known, so (for instance)
+ * content isn't read if a path test already failed.
+ */
+function allOf(label, children) {
+    return {
+        label,
+        children,
+        test: (...args) => Promise.reduce(children, (satisfied, child) => satisfied && child.test(...args), true),
+        combine: (results) => results.every(R.identity)
+    };
+}
+
+function anyOf(label, children) {
+    return {
+        label,
+        children,
+        test: (...args) => Promise.reduce(children, (satisfied, child) => satisfied || child.test(...args), false),
+        combine: (results) => results.some(R.identity)
+    };
+}
+
+function noneOf(label, children) {
+    const any = anyOf(label, children);
+    return {
+        label,
+        children,
+        test: (...args) => any.test(...args).then(R.not),
+        combine: R.complement(any.combine)
+    };
+}
+
+function relabel(prefix, node) {
+    return Object.assign({}, node, {label: `${prefix}: ${node.label}`});
+}
+
+/**
+ * Evaluate every node of the given tree for the given arguments (unlike `test`, which stops early), returning
+ * a promise for an explanation of the result: an object with the node's `label`, whether it's `satisfied`, the
+ * `error` it failed with (if any, in which case it's not satisfied), and the explanations of its `children`.
+ */
+function explainNode(node, ...args) {
+    if (!node.children) {
+        return node.test(...args)
+            .then((satisfied) => ({label: node.label, satisfied, error: null, children: []}))
+            .catch((error) => ({label: node.label, satisfied: false, error, children: []}));
+    }
+    return Promise.all(node.children.map((child) => explainNode(child, ...args)))
+        .then((children) => {
+            const satisfied = node.combine(children.map(R.prop('satisfied')));
+            return {label: node.label, satisfied, error: null, children};
+        });
+}
+
+function describeValue(value) {
+    return util.inspect(value, {breakLength: Infinity});
+}
+
+function describeFunction(fn) {
+    return `function ${fn.name || '(anonymous)'}`;
+}
+
+function describeTest(test) {
+    return typeof test === 'function' ? describeFunction(test) : describeValue(test);
+}
+
+function matchGlob(filePath, pattern) {
+    return minimatch(filePath.split(path.sep).join('/'), pattern, {dot: true});
+}
+
+/**
+ * Parse the YAML front matter of the given text (delimited by `---` lines at the very start), returning
+ * an empty object if there is none.
+ */
+function parseFrontMatter(text, absPath) {
+    const match = FRONT_MATTER.exec(text);
+    if (!match) {
+        return {};
+    }
+    try {
+        return yaml.safeLoad(match[1], {filename: absPath}) || {}; // eslint-disable-line no-magic-numbers
+    }
+    catch (error) {
+        throw wrapError(error, `Invalid front matter in ${absPath}: {message}`);
+    }
+}
+
+/**
+ * Compile a test of the source's content (decoded as UTF-8, and limited to its first `bytes` bytes, if given):
+ * a RegExp the content must match, a String the content must contain, or a function invoked with the content
+ * and the handler context.
+ */
+function compileContentTest(test, bytes) {
+    const testLabel = typeof test === 'string' ? `contains ${describeValue(test)}` : `matches ${describeTest(test)}`;
+    const bytesLabel = _.isNil(bytes) ? '' : ` (first ${bytes} bytes)`;
+    return leaf(`content${bytesLabel} ${testLabel}`, (absPath, handlerContext) => {
+        return handlerContext.source.getContent()
+            .then((content) => {
+                const start = 0;
+                const text = (_.isNil(bytes) ? content : content.slice(start, bytes)).toString('utf-8');
+                if (test instanceof RegExp) {
+                    return test.test(text);
+                }
+                else if (typeof test === 'string') {
+                    return text.includes(test);
+                }
+                return test(text, handlerContext);
+            });
+    });
+}
+
+/**
+ * Compile a test of the source's front matter: the name of a key it must have, a function invoked with the
+ * front matter and the handler context, or an object giving a test for the value of each key: a RegExp the
+ * value must match, a function invoked with the value, or a value it must equal.
+ */
+function compileFrontMatterTest(test) {
+    const testLabel = typeof test === 'string' ? `has key ${describeValue(test)}` : `matches ${describeTest(test)}`;
+    return leaf(`front matter ${testLabel}`, (absPath, handlerContext) => {
+        return handlerContext.source.getContent()
+            .then((content) => parseFrontMatter(content.toString('utf-8'), absPath))
+            .then((frontMatter) => {
+                if (typeof test === 'string') {
+                    return _.has(frontMatter, test);
+                }
+                else if (typeof test === 'function') {
+                    return test(frontMatter, handlerContext);
+                }
+                return _.every(test, (valueTest, key) => {
+                    const value = frontMatter[key];
+                    if (valueTest instanceof RegExp) {
+                        return _.has(frontMatter, key) && valueTest.test(String(value));
+                    }
+                    else if (typeof valueTest === 'function') {
+                        return valueTest(value);
+                    }
+                    return _.isEqual(value, valueTest);
+                });
+            });
+    });
+}
+
+/**
+ * A property of a condition object that is missing, or an empty array, doesn't affect the condition.
+ */
+function isDontCare(condition) {
+    return _.isUndefined(condition) || (condition instanceof Array && _.isEmpty(condition));
+}
+
+/**
+ * Compile a condition object: each of its properties is a condition, and all of them must be satisfied.
+ * Conditions on the path are tested before those on the content.
+ */
+function compileConditionObject(condition) {
+    const {
+        test, include, exclude, and, or, not, content, contentBytes = null, frontMatter, __strict__ = true
+    } = condition;
+    if (__strict__) {
+        const unknownKeys = R.without([...CONDITION_KEYS, '__strict__'], Object.keys(condition));
+        if (unknownKeys.length) {
+            throw new Error(`Unknown keys in strict condition: ${unknownKeys.join(', ')}`);
+        }
+    }
+    const nodes = [];
+    const addNode = (value, compile) => {
+        if (!isDontCare(value)) {
+            nodes.push(compile(value));
+        }
+    };
+    const compileAll = (conditions) => _.castArray(conditions).map(compileCondition);
+    addNode(test, (tested) => relabel('test', compileCondition(tested)));
+    addNode(include, (included) => relabel('include', compileCondition(included)));
+    addNode(exclude, (excluded) => noneOf('exclude: none of', compileAll(excluded)));
+    addNode(and, (conditions) => allOf('and: all of', compileAll(conditions)));
+    addNode(or, (conditions) => anyOf('or: any of', compileAll(conditions)));
+    addNode(not, (negated) => noneOf('not', [compileCondition(negated)]));
+    addNode(content, (contentTest) => compileContentTest(contentTest, contentBytes));
+    addNode(frontMatter, compileFrontMatterTest);
+    if (_.isEmpty(nodes)) {
+        return leaf('always', () => true);
+    }
+    return nodes.length === 1 ? _.head(nodes) : allOf('all of', nodes); // eslint-disable-line no-magic-numbers
+}
+
+/**
+ * Compile a condition into a tree of nodes (see `leaf`).
+ */
+function compileCondition(condition) {
+    switch (typeof condition) {
+        case 'boolean':
+            return leaf(String(condition), () => condition);
+
+        case 'string':
+            if (!path.isAbsolute(condition)) {
+                return leaf(`relative path matches glob ${describeValue(condition)}`, (absPath, handlerContext) => {
+                    return matchGlob(handlerContext.source.relativePath, condition);
+                });
+            }
+            else if (GLOB_CHARACTERS.test(condition)) {
+                return leaf(`path matches glob ${describeValue(condition)}`, (absPath) => {
+                    return matchGlob(absPath, condition);
+                });
+            }
+            return leaf(`path starts with ${describeValue(condition)}`, (absPath) => absPath.startsWith(condition));
+
+        case 'function':
+            return leaf(describeFunction(condition), condition);
+
+        case 'object':
+            if (condition instanceof RegExp) {
+                return leaf(`path matches ${condition}`, (absPath) => condition.test(absPath));
+            }
+            else if (condition instanceof Condition) {
+                return condition._root;
+            }
+            else if (condition instanceof Array) {
+                return allOf('all of', condition.map(compileCondition));
+            }
+            else if (condition) {
+                return compileConditionObject(condition);
+            }
+            break;
+    }
+    throw new Error(`Unexpected condition: ${condition}`);
+}
+
+/**
+ * A condition on the sources a handler applies to, tested with the absolute path of a source and the handler
+ * context for it. A condition can be:
+ *
+ *  * A boolean.
+ *  * A String: an absolute path is a prefix that the source's absolute path must start with, unless it has
+ *      glob characters, in which case it's a glob pattern the absolute path must match. A relative path is a glob
+ *      pattern that the source's path relative to its source directory must match (e.g., `'partials/*.hbs'`).
+ *  * A RegExp that the source's absolute path must match.
+ *  * A function, invoked with the absolute path and the handler context, that returns (or fulfills with) a truthy
+ *      value if the condition is satisfied.
+ *  * An array of conditions, all of which must be satisfied.
+ *  * An object, with any of the following properties, all of which must be satisfied (properties that are empty
+ *      arrays are ignored, so an empty `exclude` doesn't exclude anything):
+ *      * `test`, `include`: Conditions.
+ *      * `exclude`: A condition, or an array of conditions, none of which may be satisfied.
+ *      * `not`: A condition that must _not_ be satisfied.
+ *      * `and`, `or`: Arrays of conditions, all (or any) of which must be satisfied.
+ *      * `content`: A test of the source's content, decoded as UTF-8: a RegExp that the content must match, a String
+ *          that it must contain, or a function invoked with the content and the handler context. If `contentBytes`
+ *          is given, only that many bytes at the start of the content are tested.
+ *      * `frontMatter`: A test of the source's YAML front matter (an empty object if it has none): the name of a key
+ *          it must have, a function invoked with it and the handler context, or an object that maps keys to tests
+ *          of their values (a RegExp, a function, or any other value the value must equal).
+ *
+ *    Unknown properties are an error, unless the `__strict__` property is `false`.
+ */
+export class Condition {
+    constructor(condition) {
+        this._root = compileCondition(condition);
+        this.satisfiedBy = this.satisfiedBy.bind(this);
+    }
+
+    /**
+     * Returns a promise for whether the source with the given absolute path and handler context satisfies
+     * this condition.
+     */
+    satisfiedBy(absPath, handlerContext) {
+        return this._root.test(absPath, handlerContext);
+    }
+
+    /**
+     * Explain whether the source with the given absolute path and handler context satisfies this condition,
+     * for the `explain` command. Every part of the condition is tested, and a failure to test one only fails
+     * that part. Returns a promise for a tree of explanations (see `explainNode`), each with a `label` describing
+     * a part of the condition, whether it's `satisfied`, the `error` testing it failed with (if any), and the
+     * explanations of its `children`.
+     */
+    explain(absPath, handlerContext) {
+        return explainNode(this._root, absPath, handlerContext);
+    }
+}
+Condition.cast = function (c) {
+    if (c instanceof Condition) {
+        return c;
+    }
+    else {
+        return new Condition(c);
+    }
+};
@@ -0,0 +1,80 @@
+import Promise from 'bluebird';
+import _ from 'lodash';
+import path from 'path';
+import url from 'url';
+import * as mzfs from 'mz/fs';
+import yaml from 'js-yaml';
+import {wrapError} from './error-utils';
+
+/**
+ * Import an ES module. This is done through a `Function` so the `import()` expression is left for node
+ * to evaluate, rather than being compiled away.
+ */
+const importEsModule = new Function('specifier', 'return import(specifier);'); // eslint-disable-line no-new-func
+
+function readTextFile(filePath) {
+    return Promise.resolve(mzfs.readFile(filePath))
+        .then((content) => content.toString('utf-8'));
+}
+
+function unwrapDefaultExport(moduleExports) {
+    return (moduleExports && moduleExports.__esModule) ? moduleExports.default : moduleExports;
+}
+
+/**
+ * The supported config file formats, by file extension. Each loads the file at the given absolute path and
+ * returns (a promise for) what it exports.
+ */
+const CONFIG_FORMATS = {
+    '.js': (configPath) => unwrapDefaultExport(require(configPath)),
+    '.cjs': (configPath) => unwrapDefaultExport(require(configPath)),
+    '.mjs': (configPath) => {
+        return Promise.resolve(importEsModule(url.pathToFileURL(configPath).href))
+            .then((moduleNamespace) => moduleNamespace.default);
+    },
+    '.json': (configPath) => readTextFile(configPath).then(JSON.parse),
+    '.yaml': (configPath) => readTextFile(configPath).then((content) => yaml.safeLoad(content, {filename: configPath})),
+    '.yml': (configPath) => readTextFile(configPath).then((content) => yaml.safeLoad(content, {filename: configPath}))
+};
+
+/**
+ * Resolve what a config file exports into an array of configs. The export can be a config object, a
+ * function invoked with `(env, argv)` that returns any of these, a promise for any of these, or an array
+ * of any of these. Returns a promise for a flat array of config objects.
+ */
+export function resolveConfigs(exported, env, argv) {
+    return Promise.resolve(exported)
+        .then((value) => {
+            if (typeof value === 'function') {
+                return resolveConfigs(value(env, argv), env, argv);
+            }
+            else if (value instanceof Array) {
+                return Promise.all(value.map((item) => resolveConfigs(item, env, argv)))
+                    .then(_.flatten);
+            }
+            else if (!value || typeof value !== 'object') {
+                throw new Error(`Expected a config object, but got: ${value}`);
+            }
+            return [value];
+        });
+}
+
+/**
+ * Load the config file at the given absolute path, which can be a JavaScript (`.js`, `.cjs` or `.mjs`),
+ * JSON (`.json`), or YAML (`.yaml` or `.yml`) file. The `env` and `argv` are passed to the config if it
+ * exports a function.
+ *
+ * Returns a promise for an array of config objects, since a single config file can define several.
+ */
+export function loadConfigs(configPath, env = {}, argv = {}) {
+    const format = CONFIG_FORMATS[path.extname(configPath).toLowerCase()];
+    if (!format) {
+        return Promise.reject(new Error(`Unsupported config file type: ${configPath}, expected one of: `
+            + `${Object.keys(CONFIG_FORMATS).join(', ')}`));
+    }
+    return Promise.try(() => format(configPath))
+        .then((exported) => resolveConfigs(exported, env, argv))
+        .catch((error) => {
+            throw wrapError(error, `Failed to load config from ${configPath}: {message}`);
+        });
+}
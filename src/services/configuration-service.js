@@ -6,17 +6,31 @@ import {wrapError} from './error-utils';
 import path from 'path';
 import * as mzfs from 'mz/fs';
 import crypto from 'crypto';
-import {OutputGenerator} from './output-generator';
+import {OutputGenerator, CopyOutputGenerator} from './output-generator';
+import {normalizeSourceMap, composeSourceMaps} from './source-maps';
+import {DependencyTracker} from './dependency-tracker';
+import {RequestResolver, parseRequest, splitQuery} from './request-resolver';
+import {parseQuery, validateOptions} from './loader-options';
+import {Severity, describeProblem} from './diagnostics';
+import {
+    TransformCache, DEFAULT_CACHE_DIRECTORY, findPackageVersion, isJsonSerializable, stableStringify
+} from './transform-cache';
+import {invokeLoaderFunction, execModule} from './loader-runner';
+import {getConcurrency, createLimiter} from './concurrency';
+import {translateWebpackRules} from './webpack-rules';
+import {Condition, CONDITION_KEYS} from './condition';
+import {getErrorLocation, getErrorCodeFrame, formatCodeFrame} from './code-frame';
+import {createPluginHooks} from './plugins';
 import resolve from 'resolve';
-import mkdirp from 'mkdirp';
-
-const mkdirpAsPromised = Promise.promisify(mkdirp);
 
 require('require-ensure');
 
+const UNMATCHED_FILES_POLICIES = ['copy', 'ignore', 'warn', 'error'];
+const MATCH_MODES = ['all', 'first'];
+
 export class Configuration {
 
-    constructor(options, {sourceDirs, context, output}) {
+    constructor(options, {sourceDirs, context, output, module: moduleConfig = {}, cache = false, plugins = []}) {
         this._options = options;
         this.resolvePath = (input) => path.resolve(this._options.rootDir, input);
 
@@ -24,7 +38,80 @@ export class Configuration {
         this._context = this.resolvePath(context);
         options.context = this._context;
         this._outputPath = this.resolvePath(output.path);
-        this._handlers = (output.handlers || []).map((handler) => new Handler(options, this._outputPath, handler));
+        this._unmatchedFiles = options.unmatchedFiles || output.unmatchedFiles || 'ignore';
+        if (!UNMATCHED_FILES_POLICIES.includes(this._unmatchedFiles)) {
+            throw new Error(`Invalid policy for unmatched files: '${this._unmatchedFiles}', `
+                + `expected one of: ${UNMATCHED_FILES_POLICIES.join(', ')}`);
+        }
+        this._matchMode = output.matchMode || 'all';
+        if (!MATCH_MODES.includes(this._matchMode)) {
+            throw new Error(`Invalid match mode: '${this._matchMode}', expected one of: ${MATCH_MODES.join(', ')}`);
+        }
+
+        this._hooks = createPluginHooks(plugins);
+        // Shared by every source dir, so no more than `options.concurrency` sources are transformed at once.
+        this._limit = createLimiter(getConcurrency(options));
+
+        const cacheDirectory = this._getCacheDirectory(cache);
+        this._transformCache = cacheDirectory ? new TransformCache(options, cacheDirectory) : null;
+        const handlerOptions = Object.assign({}, options, {
+            hooks: this._hooks,
+            transformCache: this._transformCache,
+            requestResolver: new RequestResolver(this._context)
+        });
+        handlerOptions.moduleLoader = new ModuleLoader(handlerOptions, this._outputPath, () => this._handlers,
+            (absolutePath) => this.createSourceFileForPath(absolutePath));
+        this._handlers = (output.handlers || []).map((handler, index) => {
+            return createHandler(handlerOptions, this._outputPath, handler, null, `output.handlers[${index}]`);
+        });
+        // Webpack rules apply after the handlers, as a single handler; see `translateWebpackRules`.
+        const reportRuleProblem = (message) => options.diagnostics.addWarning({problem: message});
+        translateWebpackRules(moduleConfig.rules || [], reportRuleProblem).forEach((handler) => {
+            this._handlers.push(new Handler(handlerOptions, this._outputPath, handler, null, 'module.rules'));
+        });
+    }
+
+    /**
+     * Determine the absolute path to the transformation cache directory from the `--cache-dir` option
+     * or the `cache` config property, which can be `true` to use the default directory, or a path.
+     * Returns `null` if caching is disabled.
+     */
+    _getCacheDirectory(cache) {
+        if (this._options.cacheDir) {
+            return this._options.cacheDir;
+        }
+        else if (cache) {
+            return this.resolvePath(typeof cache === 'string' ? cache : DEFAULT_CACHE_DIRECTORY);
+        }
+        return null;
+    }
+
+    getSourceDirs() {
+        return this._sourceDirs;
+    }
+
+    getOutputPath() {
+        return this._outputPath;
+    }
+
+    getUnmatchedFilesPolicy() {
+        return this._unmatchedFiles;
+    }
+
+    /**
+     * Get the hooks tapped by this configuration's plugins (see `createPluginHooks`).
+     */
+    getHooks() {
+        return this._hooks;
+    }
+
+    /**
+     * Create a `SourceFile` object for the file at the given absolute path, if it is inside one of
+     * this configuration's source directories. Returns `null` if it is not.
+     */
+    createSourceFileForPath(absolutePath) {
+        const sourceDir = this._sourceDirs.find((dir) => absolutePath.startsWith(`${dir}${path.sep}`));
+        return sourceDir ? new SourceFile(sourceDir, path.relative(sourceDir, absolutePath)) : null;
     }
 
     /**
@@ -37,15 +124,70 @@ export class Configuration {
 
     /**
      * Returns a Promise for an array of `OutputGenerators` produced by this configuration
-     * for the given source object.
+     * for the given source object: by every handler that applies to it, or with the `'first'` match mode
+     * (the `output.matchMode` config property), by only the first one. If no handler matches the source,
+     * it is dealt with according to the policy for unmatched files (see `_getOutputGeneratorsForUnmatchedSource`).
+     *
+     * The `sourceDiscovered` hook is invoked with the source first.
      */
     getOutputGeneratorsForSource(source) {
-        return Promise.all(this.visitHandlers((handler) => {
-            return handler.getOutputGeneratorsForSource(source);
-        }))
+        return this._hooks.sourceDiscovered.call(source)
+            .then(() => this._getOutputGeneratorsOfMatchingHandlers(source))
+            .then((generators) => {
+                return _.isEmpty(generators) ? this._getOutputGeneratorsForUnmatchedSource(source) : generators;
+            });
+    }
+
+    _getOutputGeneratorsOfMatchingHandlers(source) {
+        if (this._matchMode === 'first') {
+            return findFirstHandler(this._handlers, source).then((match) => {
+                return match ? match.handler.getOutputGeneratorsForMatch(source, match.handlerContext) : [];
+            });
+        }
+        return Promise.all(this.visitHandlers((handler) => handler.getOutputGeneratorsForSource(source)))
             .then((listsOfGenerators) => _.flatten(listsOfGenerators));
     }
 
+    /**
+     * Explain how each handler handles the given source, for the `explain` command (see `Handler#explain`).
+     * Returns a promise for an array of explanations, in the order of the handlers. With the `'first'` match
+     * mode, the handlers after the first one that applies are only described as `skipped`.
+     */
+    explainSource(source) {
+        const explain = (handler) => handler.explain(source);
+        if (this._matchMode === 'first') {
+            return explainFirstHandler(this._handlers, explain);
+        }
+        return Promise.all(this._handlers.map(explain));
+    }
+
+    /**
+     * Apply the policy for unmatched files, from the `--unmatched-files` option or the `output.unmatchedFiles`
+     * config property, to a source that no handler matched: `'copy'` copies it verbatim to its default
+     * destination, `'warn'` and `'error'` record a warning or an error for it (reported at the end of the
+     * run), and `'ignore'` does nothing. Returns an array of `OutputGenerators` for the source.
+     */
+    _getOutputGeneratorsForUnmatchedSource(source) {
+        const problem = 'No handler matched this source file';
+        switch (this._unmatchedFiles) {
+            case 'copy': {
+                const dependencies = new DependencyTracker();
+                dependencies.addDependency(source.absolutePath);
+                const destination = path.join(this._outputPath, source.relativePath);
+                const copyOptions = Object.assign({}, this._options, {hooks: this._hooks});
+                return [new CopyOutputGenerator(copyOptions, source, destination, dependencies)];
+            }
+            case 'warn':
+                this._options.diagnostics.addWarning({source: source.absolutePath, problem});
+                return [];
+            case 'error':
+                this._options.diagnostics.addError({source: source.absolutePath, problem});
+                return [];
+            default:
+                return [];
+        }
+    }
+
     /**
      * Apply the given transformation for every handler in this configuration
      * and return a Promise for an array of the results, in the same order as the
@@ -81,18 +223,23 @@ export class Configuration {
 
     /**
      * Given a directory, recursively scan for all sources and apply the given transformation to each source,
-     * returning a promise for an array of the results (in no particular order).
+     * returning a promise for an array of the results (in no particular order). No more than
+     * `options.concurrency` sources of this configuration are transformed at once, across all its source dirs.
      */
     visitSourcesInDir(sourceDir, sourceTransformation) {
         return new Promise((fulfill, reject) => {
-            const method = Promise.method(sourceTransformation);
+            const method = (source) => this._limit(() => sourceTransformation(source));
             const walker = walk.walk(sourceDir);
             const results = [];
             let failed = false;
 
             walker.on('file', (root, stats, next) => {
                 if (!failed) {
-                    results.push(method(this._createSourceFileObject(sourceDir, root, stats)));
+                    const result = method(this._createSourceFileObject(sourceDir, root, stats));
+                    // Failures are raised once the walk ends, with the other results; until then, they're not
+                    // unhandled.
+                    result.catch(_.noop);
+                    results.push(result);
                     next();
                 }
             });
@@ -113,197 +260,459 @@ export class Configuration {
 
 }
 
-class Condition {
-    constructor(condition) {
-        this.test = () => true;
-        this.include = [];
-        this.exclude = [];
+/**
+ * Memoize the given function of no arguments, like `R.memoize`, except that the returned function has a `release`
+ * method, which forgets the memoized result (so it can be garbage collected). It's computed again if needed.
+ */
+function memoizeReleasably(fn) {
+    let memo = null;
+    const memoized = () => {
+        memo = memo || {result: fn()};
+        return memo.result;
+    };
+    return Object.assign(memoized, {
+        release: () => {
+            memo = null;
+        }
+    });
+}
 
-        switch (typeof condition) {
-            case 'boolean':
-                this.test = () => Promise.resolve(condition);
-                break;
+/**
+ * Read the given source file as the initial input for a handler's transformation.
+ */
+function readSourceInput(source) {
+    return source.getContent()
+        .then((content) => ({content}));
+}
 
-            case 'string':
-                this.test = (absPath) => Promise.resolve(absPath.startsWith(condition));
-                break;
+/**
+ * Implements the `loadModule` and `importModule` loader API functions, which load another module by
+ * transforming it through the loaders that would be applied to it: the loaders of the first of the
+ * configured handlers that applies to it, followed by any inline loaders in the request. If the request
+ * has a prefix (`!`, `!!`, or `-!`), only the inline loaders are applied.
+ *
+ * Every file the loaded module depends on is recorded as a dependency of the module loading it.
+ */
+class ModuleLoader {
 
-            case 'function':
-                this.test = (...args) => Promise.method(condition(...args)).then(Boolean);
-                break;
+    /**
+     * @param  {Object} options     The options to create handlers for inline loaders with.
+     * @param  {String} destDir     The destination directory of the configuration.
+     * @param  {Function} getHandlers Returns the configuration's top-level handlers.
+     * @param  {Function} createSourceFileForPath Returns a `SourceFile` for the given absolute path, relative
+     *                              to the source directory it's in, or `null` if it isn't in one (see
+     *                              `Configuration#createSourceFileForPath`).
+     */
+    constructor(options, destDir, getHandlers, createSourceFileForPath) {
+        this._options = options;
+        this._destDir = destDir;
+        this._getHandlers = getHandlers;
+        this._createSourceFileForPath = createSourceFileForPath;
+    }
 
-            case 'object':
-                if (condition instanceof RegExp) {
-                    this.test = (absPath) => Promise.resolve(condition.test(absPath));
-                }
-                else if (condition instanceof Condition) {
-                    this.test = condition.satisfiedBy;
-                }
-                else if (condition instanceof Array) {
-                    this.include = condition
-                        .map(Condition.cast)
-                        .map((c) => c.satisfiedBy);
-                }
-                else {
-                    const {test, include, exclude, __strict__ = true} = condition;
-                    if (__strict__) {
-                        const removeKnownKeys = R.without(['test', 'include', 'exclude', '__strict__']);
-                        const unknownKeys = removeKnownKeys(Object.keys(condition));
-                        if (unknownKeys.length) {
-                            throw new Error(`Unknown keys in strict condition: ${unknownKeys.join(', ')}`);
-                        }
-                    }
+    /**
+     * Create the `SourceFile` of a module, relative to its source directory, so that conditions on relative
+     * paths match it as they do when it's built, or to its own directory if it isn't in a source directory.
+     */
+    _createSourceFile(resource) {
+        const source = this._createSourceFileForPath(resource);
+        return source || new SourceFile(path.dirname(resource), path.basename(resource));
+    }
 
-                    if (!_.isUndefined(test)) {
-                        this.test = Condition.cast(test).satisfiedBy;
-                    }
-                    if (!_.isUndefined(include)) {
-                        if (include instanceof Array) {
-                            this.include = include.map(Condition.cast).map((c) => c.satisfiedBy);
-                        }
-                        else {
-                            this.include = [Condition.cast(include).satisfiedBy];
-                        }
-                    }
-                    if (!_.isUndefined(exclude)) {
-                        if (exclude instanceof Array) {
-                            this.exclude = exclude.map(Condition.cast).map((c) => c.satisfiedBy);
-                        }
-                        else {
-                            this.exclude = [Condition.cast(exclude).satisfiedBy];
-                        }
-                    }
-                }
-                break;
+    _applyHandler(handler, source, resourceQuery, dependencies, input) {
+        if (!handler) {
+            return Promise.resolve(input());
         }
-
-        this.satisfiedBy = this.satisfiedBy.bind(this);
+        return handler.transform(handler.createHandlerContext(source, dependencies, resourceQuery), input);
     }
 
-    satisfiedBy(...args) {
-        return Promise.join(
-            this.test(...args),
-            Promise.all(this.include.map((f) => f())),
-            Promise.all(this.exclude.map((f) => f())),
-            (test, include, exclude) => {
-                return test && include.every(R.identity) && !exclude.some(R.identity);
+    /**
+     * Returns a promise for the loaded module, as an object with `content` and `map` properties, as well as a
+     * `module` property with an object describing the module (its `resource` and `request`).
+     */
+    loadModule(context, request, dependencies) {
+        return this._options.requestResolver.resolve(context, request)
+            .then((resolvedRequest) => {
+                const {prefix, loaders, resource, resourceQuery} = parseRequest(resolvedRequest);
+                const source = this._createSourceFile(resource);
+                const moduleDependencies = new DependencyTracker();
+                moduleDependencies.addDependency(source.absolutePath);
+
+                const inlineHandler = _.isEmpty(loaders) ? null : new Handler(this._options, this._destDir, {
+                    use: loaders.map(({request: loader, query}) => ({loader, query}))
+                }, null, `inline loaders of '${request}'`);
+
+                return Promise.resolve(prefix ? null : findFirstHandler(this._getHandlers(), source))
+                    .then((match) => {
+                        const getInput = () => readSourceInput(source);
+                        const handler = match && match.handler;
+                        return this._applyHandler(handler, source, resourceQuery, moduleDependencies, getInput);
+                    })
+                    .then((output) => {
+                        const getInput = () => output;
+                        return this._applyHandler(inlineHandler, source, resourceQuery, moduleDependencies, getInput);
+                    })
+                    .then(({content, map = null}) => {
+                        moduleDependencies.getDependencies().forEach((file) => dependencies.addDependency(file));
+                        moduleDependencies.getContextDependencies().forEach((dir) => {
+                            dependencies.addContextDependency(dir);
+                        });
+                        const module = {resource: `${resource}${resourceQuery}`, request: resolvedRequest};
+                        return {content, map, module};
+                    });
+            })
+            .catch((error) => {
+                throw wrapError(error, `Failed to load module '${request}': {message}`);
             });
     }
-}
-Condition.cast = function (c) {
-    // TODO: Pass options, or at least logger, to Conditions, maybe with a factory.
-    // The generated functions should log what they're testing, against what.
-    if (c instanceof Condition) {
-        return c;
+
+    /**
+     * Returns a promise for the exports of the given module, loaded as with `loadModule` and then executed.
+     */
+    importModule(context, request, dependencies) {
+        return this.loadModule(context, request, dependencies)
+            .then(({content, module}) => execModule(content, parseRequest(module.request).resource, context));
     }
-    else {
-        return new Condition(c);
+}
+
+/**
+ * Normalize the `sourceMap` property of a handler definition to one of `false`, `'file'`, or `'inline'`.
+ */
+function normalizeSourceMapMode(sourceMap) {
+    if (sourceMap === 'inline') {
+        return 'inline';
     }
-};
+    return sourceMap ? 'file' : false;
+}
 
 class Handler {
-    constructor(options, destDir, handlerDef, parent = null) {
+
+    /**
+     * @param  {Object} options     The options object.
+     * @param  {String} destDir     The absolute path of the destination directory.
+     * @param  {Object} handlerDef  The handler definition from the config.
+     * @param  {Handler} parent     The handler this one is a fork of, if any.
+     * @param  {String} location    Describes where the handler is defined in the config, for messages.
+     */
+    constructor(options, destDir, handlerDef, parent = null, location = 'handler') {
         this._options = options;
         this._destDir = destDir;
-        this._condition = Condition.cast(_.pick(handlerDef, ['test', 'include', 'exclude']));
+        this._parent = parent;
+        this._location = location;
+        if (_.isUndefined(handlerDef.sourceMap)) {
+            this._sourceMapMode = parent ? parent._sourceMapMode : false;
+        }
+        else {
+            this._sourceMapMode = normalizeSourceMapMode(handlerDef.sourceMap);
+        }
+        if (_.isUndefined(handlerDef.parallel)) {
+            this._parallel = parent ? parent._parallel : false;
+        }
+        else {
+            this._parallel = Boolean(handlerDef.parallel);
+        }
+        this._condition = Condition.cast(_.pick(handlerDef, CONDITION_KEYS));
         this._satisfied = Promise.method(this._condition.satisfiedBy);
         this._getDestination = Promise.method(handlerDef.destination || ((defaultDestination) => defaultDestination));
         this._baseHandlerContext = {
             data: {},
             destDir: this._destDir
         };
-        this._useEntries = (handlerDef.use || []).map((useEntry) => new UseEntry(options, useEntry));
+        // Functions are dynamic use entries, resolved for each source; see `resolveLoaderChain`.
+        this._useEntries = _.castArray(handlerDef.use || []).map((useEntry) => {
+            if (typeof useEntry === 'function') {
+                return useEntry;
+            }
+            return new UseEntry(options, useEntry, this._getUseEntryDefaults());
+        });
+
+        this._forks = (handlerDef.fork || []).map((fork, index) => {
+            return createHandler(options, destDir, fork, this, `${location}.fork[${index}]`);
+        });
+    }
 
-        const parentLoaders = parent ? parent.getLoaders() : [];
-        this._initialLoaderIndex = parentLoaders.length;
-        this._loaders = parentLoaders.concat(this._useEntries.map((useEntry) => useEntry.getLoaderDescription()));
+    getLocation() {
+        return this._location;
+    }
 
-        this._forks = (handlerDef.fork || []).map((fork) => new Handler(options, destDir, fork, this));
+    _getUseEntryDefaults() {
+        return {parallel: this._parallel, location: this._location};
     }
 
-    getLoaders() {
-        return this._loaders;
+    /**
+     * Resolve this handler's use entries for the source of the given handler context: static entries are
+     * used as is, and dynamic entries (functions) are invoked with the handler context, and can return a
+     * UseEntry, an array of them, or a Promise for either. Returns a promise for the loader chain, an object with:
+     *
+     *  * `useEntries`: This handler's resolved `UseEntry` objects.
+     *  * `loaders`: The descriptions of every loader applied to produce this handler's output, including the
+     *      given `parentLoaders`, the descriptions of the loaders applied by parent handlers.
+     *  * `initialLoaderIndex`: The index in `loaders` of this handler's first loader.
+     */
+    resolveLoaderChain(handlerContext, parentLoaders = []) {
+        return Promise.all(this._useEntries.map((useEntry) => {
+            if (useEntry instanceof UseEntry) {
+                return [useEntry];
+            }
+            return Promise.method(useEntry)(handlerContext)
+                .then((result) => _.castArray(result).filter((def) => !_.isNil(def)))
+                .then((defs) => defs.map((def) => new UseEntry(this._options, def, this._getUseEntryDefaults())))
+                .catch((error) => {
+                    throw wrapError(error, `Error resolving dynamic use entry of ${this._location}: {message}`);
+                });
+        }))
+            .then(_.flatten)
+            .then((useEntries) => {
+                return Promise.all(useEntries.map((useEntry) => useEntry.getLoaderDescription()))
+                    .then((ownLoaders) => ({
+                        useEntries,
+                        loaders: parentLoaders.concat(ownLoaders),
+                        initialLoaderIndex: parentLoaders.length
+                    }));
+            });
     }
 
     getDefaultDestination({destDir, source}) {
         return path.join(destDir, source.relativePath);
     }
 
-    _getOutputGenerator(source, handlerContext, getOutput) {
+    /**
+     * Create the `OutputGenerator` of this handler for the given source, which gets its output with the given
+     * `getOutput` function. The output is passed through the plugin hooks (see `createPluginHooks`), with a
+     * description of the output (`{source, destination, handler}`): `beforeTransform`, then `afterTransform`
+     * with the content, which it can replace (in which case the source map, which no longer matches, is dropped
+     * with a warning). This happens once, for whatever needs the output first: preparing it (e.g., for a dry run)
+     * or generating it. Generating it then invokes `beforeEmit` with the content to write, and finally `afterEmit`
+     * with the files that were written (see `OutputGenerator#getWrittenFiles`).
+     */
+    _getOutputGenerator(source, handlerContext, getChain, getOutput, releaseTransformation) {
+        const {hooks} = this._options;
         return this._getDestination(this.getDefaultDestination(handlerContext), handlerContext)
             .then((destinationPath) => {
-                const baseOutputGenerator = new OutputGenerator(this._options, source, destinationPath);
+                const baseOutputGenerator = new OutputGenerator(this._options, source, destinationPath,
+                    handlerContext.dependencies, this._location);
+                const outputDescription = {source, destination: destinationPath, handler: this._location};
+                const getHookedOutput = memoizeReleasably(() => {
+                    return hooks.beforeTransform.call(outputDescription)
+                        .then(() => getOutput())
+                        .then((output) => {
+                            return hooks.afterTransform.reduce(output.content, outputDescription)
+                                .then((content) => {
+                                    if (content === output.content) {
+                                        return output;
+                                    }
+                                    if (output.map) {
+                                        this._options.diagnostics.addWarning({
+                                            source: source.absolutePath,
+                                            problem: `The afterTransform hook changed the content of ${destinationPath}`
+                                                + ', so its source map was dropped'
+                                        });
+                                    }
+                                    return Object.assign({}, output, {content, map: null});
+                                });
+                        });
+                });
                 return Object.assign(baseOutputGenerator, {
+                    getLoaders: () => getChain().then((chain) => chain.loaders.map(R.prop('ident'))),
+                    prepareOutput: () => {
+                        return getHookedOutput()
+                            .then(({emittedFiles = []}) => emittedFiles.map(R.prop('path')));
+                    },
                     generateOutput: () => {
-                        return getOutput()
-                            .then(({content}) => {
-                                return mkdirpAsPromised(path.dirname(destinationPath))
-                                    .then(() => Promise.resolve(mzfs.writeFile(destinationPath, content)))
-                                    .catch((error) => {
-                                        throw wrapError(error,
-                                            'Failed trying to write destination file: {messsage}');
-                                    });
+                        return getHookedOutput()
+                            .tap(({content}) => hooks.beforeEmit.call(content, outputDescription))
+                            .then(({content, map, emittedFiles = []}) => {
+                                return Promise.join(
+                                    baseOutputGenerator.writeOutput(content, map, this._sourceMapMode),
+                                    baseOutputGenerator.writeEmittedFiles(emittedFiles, this._sourceMapMode),
+                                    (destinationWritten, emittedFilesWritten) => {
+                                        return destinationWritten || emittedFilesWritten;
+                                    }
+                                );
                             })
-                            .tap(() => {
-                                this._options.log.info(`Generated ${destinationPath}`);
+                            .tap((written) => {
+                                if (written) {
+                                    this._options.log.info(`Generated ${destinationPath}`);
+                                }
+                                else {
+                                    this._options.log.debug(`Unchanged ${destinationPath}`);
+                                }
+                                const writtenFiles = baseOutputGenerator.getWrittenFiles();
+                                return hooks.afterEmit.call(writtenFiles, outputDescription);
                             });
+                    },
+                    releaseOutput: () => {
+                        getHookedOutput.release();
+                        releaseTransformation();
                     }
                 });
             });
     }
 
-    _getOutputGeneratorsForSource(source, baseHandlerContext, getInput) {
-        const handlerContext = Object.assign({}, baseHandlerContext);
-        return this._satisfied(source.absolutePath, handlerContext)
-            .then((satisfied) => {
-                if (satisfied) {
-                    const getTransformation = R.memoize(() => {
-                        return getInput().then((input) => this.transform(handlerContext, input));
-                    });
-                    const promiseForBaseGenerators = this._getOutputGenerator(source, handlerContext, getTransformation)
-                        .then((gen) => [gen]);
+    _getOutputGeneratorsForSource(source, baseHandlerContext, getInput, getParentLoaders) {
+        return this.findHandler(source, baseHandlerContext)
+            .then((match) => {
+                if (!match) {
+                    return [];
+                }
+                return match.handler._getOutputGeneratorsForMatch(
+                    source, match.handlerContext, getInput, getParentLoaders);
+            });
+    }
 
-                    const promisesForForkGenerators = this._forks.map((fork) => {
-                        return fork._getOutputGeneratorsForSource(source, handlerContext, getTransformation);
-                    });
+    /**
+     * Get the output generators of this handler and its forks for the given source, given the handler context
+     * that this handler's conditions were found to be satisfied with (see `findHandler`), without testing them
+     * again. The loader chain of each handler is resolved lazily, along with its transformation, so a failure
+     * to resolve it for one source is only raised when that source's outputs are generated.
+     */
+    _getOutputGeneratorsForMatch(source, handlerContext, getInput, getParentLoaders = () => Promise.resolve([])) {
+        const getChain = R.memoize(() => {
+            return getParentLoaders()
+                .then((parentLoaders) => this.resolveLoaderChain(handlerContext, parentLoaders));
+        });
+        const getTransformation = memoizeReleasably(() => {
+            return getChain().then((chain) => {
+                const chainedContext = Object.assign({}, handlerContext, {loaders: chain.loaders});
+                return this.transform(chainedContext, getInput, chain);
+            });
+        });
+        // Releasing the output releases the transformation, and the input it was made from (the transformation
+        // of the parent handler, for a fork), which the outputs of the source's other handlers may share, so
+        // it's only released once all of them are generated (see `OutputGenerator#releaseOutput`).
+        const releaseTransformation = () => {
+            getTransformation.release();
+            _.invoke(getInput, 'release');
+        };
+        const promiseForBaseGenerators = this._getOutputGenerator(
+            source, handlerContext, getChain, getTransformation, releaseTransformation).then((gen) => [gen]);
 
-                    const promisesForAllGeneratorLists = [promiseForBaseGenerators, ...promisesForForkGenerators];
+        const promisesForForkGenerators = this._forks.map((fork) => {
+            return fork._getOutputGeneratorsForSource(source, handlerContext, getTransformation,
+                () => getChain().then(R.prop('loaders')));
+        });
 
-                    return Promise.all(promisesForAllGeneratorLists)
-                        .then((listOfListsOfPromisesForOutputGenerators) => {
-                            return Promise.all(_.flatten(listOfListsOfPromisesForOutputGenerators));
-                        });
-                }
-                else {
-                    return [];
-                }
+        const promisesForAllGeneratorLists = [promiseForBaseGenerators, ...promisesForForkGenerators];
+
+        return Promise.all(promisesForAllGeneratorLists)
+            .then((listOfListsOfPromisesForOutputGenerators) => {
+                return Promise.all(_.flatten(listOfListsOfPromisesForOutputGenerators));
             });
     }
 
+    /**
+     * Implements the `resolve` loader API function: resolve the given request (which may include
+     * inline loaders) relative to the given context directory, and invoke the callback with the
+     * resolved request.
+     */
     resolve(context, request, callback) {
         this._options.log.debug(`Resolving request for ${request}, relative to: ${context}`);
-        // TODO: Parse loaders from the request, create a new handler from it, and transform
-        // the source specified by the request through it.
-        callback(new Error('The `resolve` API function has not been implemented yet by rosetta'));
+        this._options.requestResolver.resolve(context, request).asCallback(callback);
     }
 
-    getOutputGeneratorsForSource(source) {
-        // TODO: Fill in handler context.
-        const baseHandlerContext = Object.assign({}, this._baseHandlerContext, {
+    /**
+     * Implements the `resolveSync` loader API function, the synchronous version of `resolve`.
+     */
+    resolveSync(context, request) {
+        this._options.log.debug(`Resolving request for ${request}, relative to: ${context}`);
+        return this._options.requestResolver.resolveSync(context, request);
+    }
+
+    /**
+     * Create the handler context for handling the given source with this handler, with dependencies
+     * recorded in the given `DependencyTracker`. Its `loaders` are filled in when the handler's loader chain
+     * is resolved (see `resolveLoaderChain`), for the loader contexts created from it.
+     */
+    createHandlerContext(source, dependencies, resourceQuery = '') {
+        return Object.assign({}, this._baseHandlerContext, {
+            dependencies,
             source,
-            resource: source.absolutePath,
+            resource: `${source.absolutePath}${resourceQuery}`,
             resourcePath: source.absolutePath,
-            resourceQuery: '',
-            loaders: this._loaders,
-            resolve: (...args) => this.resolve(...args)
+            resourceQuery,
+            context: path.dirname(source.absolutePath),
+            rootContext: this._options.context,
+            loaders: [],
+            resolve: (...args) => this.resolve(...args),
+            resolveSync: (...args) => this.resolveSync(...args),
+            log: this._options.log.child({source: source.absolutePath}),
+            emitWarning: (warning, metadata) => {
+                this._options.diagnostics.addWarning({source: source.absolutePath, problem: warning, metadata});
+            },
+            emitError: (error, metadata) => {
+                this._options.diagnostics.addError({source: source.absolutePath, problem: error, metadata});
+            }
         });
+    }
 
-        const getInput = () => {
-            return source.getContentString()
-                .then((content) => ({content}));
-        };
+    /**
+     * Create the handler context for generating the outputs of the given source with this handler, whose
+     * outputs depend on the source.
+     */
+    _createSourceHandlerContext(source) {
+        const dependencies = new DependencyTracker();
+        dependencies.addDependency(source.absolutePath);
+        return this.createHandlerContext(source, dependencies);
+    }
+
+    /**
+     * Find the handler that applies to the given source: this one, if its conditions are satisfied (not
+     * including its forks), or else `null`. The conditions are tested with a handler context of this handler's
+     * own, based on the given one (or a new one for the source), which records dependencies on top of the
+     * given one's. Returns a promise for a match, `{handler, handlerContext}`, with the handler context the
+     * conditions were satisfied with, for generating the source's outputs (see `getOutputGeneratorsForMatch`).
+     */
+    findHandler(source, baseHandlerContext = null) {
+        const base = baseHandlerContext || this._createSourceHandlerContext(source);
+        const handlerContext = Object.assign({}, base, {dependencies: new DependencyTracker(base.dependencies)});
+        return this._satisfied(source.absolutePath, handlerContext)
+            .then((satisfied) => {
+                return satisfied ? {handler: this, handlerContext} : null;
+            });
+    }
 
-        return this._getOutputGeneratorsForSource(source, baseHandlerContext, getInput);
+    /**
+     * Explain how this handler handles the given source, for the `explain` command. Returns a promise for an
+     * object with the handler's `location`, whether it's `satisfied`, and the explanation of its `condition`
+     * (see `Condition#explain`). If the handler applies, the object also has the `destination` (as returned by
+     * the handler's `destination` function), the idents of the `loaders` in its chain (including those of
+     * `parentLoaders`, the loaders of parent handlers), and the explanations of its `forks`, or else the `error`
+     * resolving any of these failed with. Nothing is transformed.
+     */
+    explain(source, handlerContext = null, parentLoaders = []) {
+        const context = handlerContext || this.createHandlerContext(source, new DependencyTracker());
+        return this._condition.explain(source.absolutePath, context)
+            .then((condition) => {
+                const explanation = {location: this._location, satisfied: condition.satisfied, condition};
+                if (!condition.satisfied) {
+                    return explanation;
+                }
+                return Promise.join(
+                    this._getDestination(this.getDefaultDestination(context), context),
+                    this.resolveLoaderChain(context, parentLoaders),
+                    (destination, {loaders}) => {
+                        return Promise.all(this._forks.map((fork) => fork.explain(source, context, loaders)))
+                            .then((forks) => {
+                                return Object.assign(explanation, {
+                                    destination, loaders: loaders.map(R.prop('ident')), forks
+                                });
+                            });
+                    })
+                    .catch((error) => Object.assign(explanation, {error}));
+            });
+    }
+
+    getOutputGeneratorsForSource(source) {
+        return this._getOutputGeneratorsForSource(
+            source, this._createSourceHandlerContext(source), () => readSourceInput(source));
+    }
+
+    /**
+     * Get the output generators for the given source of the handler of a match found by `findHandler`, with the
+     * handler context of the match.
+     */
+    getOutputGeneratorsForMatch(source, handlerContext) {
+        return this._getOutputGeneratorsForMatch(source, handlerContext, () => readSourceInput(source));
     }
 
     /**
@@ -311,119 +720,604 @@ class Handler {
      * a promise to transform that input through all the loaders for this handler (not
      * including any forks).
      *
+     * Loaders are run as in webpack: first the pitching phase, in which the `pitch` function
+     * of each loader that has one is invoked, from the last loader to the first. If a pitch
+     * function produces content, the remaining pitches are skipped, the initial input is never
+     * read, and the normal phase continues from the loader _after_ the one that pitched. Otherwise,
+     * the initial input is transformed through every loader, from first to last, in the normal phase.
+     *
+     * If a transformation cache is configured, the result is served from the cache when
+     * possible, and stored in the cache if every loader in the chain declared itself
+     * `cacheable()`. The `cacheable` property of the result says whether it was.
+     *
+     * Files emitted by this handler's loaders through `emitFile` are listed in the `emittedFiles`
+     * property of the result, as `{path, content, map}` objects with absolute paths. Warnings and errors
+     * emitted through `emitWarning` and `emitError` are recorded in the run's `Diagnostics` (and listed in
+     * the `problems` property of the result, so they are reported again when the result comes from the cache).
+     *
      * @param  {Object} handlerContext The handler context to pass to the loaders
      * @param  {Object} initialInput   An object with a required `content` property
-     *                                 containing the String contents to transform,
-     *                                 and an optional `value` property containing the
+     *                                 containing the String or Buffer contents to transform,
+     *                                 an optional `value` property containing the
      *                                 value corresponding to the content to pass in
-     *                                 to the next loader. Or, this parameter can be
-     *                                 a Promise for such an object.
+     *                                 to the next loader, and an optional `map` property
+     *                                 containing the source map for the content. Or, this
+     *                                 parameter can be a Promise for such an object, or a
+     *                                 function returning either, which is only invoked if
+     *                                 the input is actually needed.
+     * @param  {Object} chain          The loader chain for the source, as returned by
+     *                                 `resolveLoaderChain`. It is resolved from the handler
+     *                                 context if not given.
      * @return {Promise<Object>}       A Promise for an object similar to that provided
      *                                 for the `initialInput` parameter, providing the
-     *                                 transformed `content` and (possibly) `value`.
-     */
-    transform(handlerContext, initialInput, initialLoaderIndex = this._initialLoaderIndex) {
-        return this._useEntries.reduce((promiseForTransformation, useEntry, index) => {
-            return promiseForTransformation.then((input) => {
-                const loaderContext = Object.assign({}, handlerContext, {
-                    cacheable: () => {},    // TODO: Implement caching.
-                    loaderIndex: initialLoaderIndex + index
+     *                                 transformed `content`, and (possibly) `value` and `map`.
+     */
+    transform(handlerContext, initialInput, chain = null) {
+        if (!chain) {
+            return this.resolveLoaderChain(handlerContext)
+                .then((resolvedChain) => {
+                    const chainedContext = Object.assign({}, handlerContext, {loaders: resolvedChain.loaders});
+                    return this.transform(chainedContext, initialInput, resolvedChain);
                 });
-                return useEntry.transform(input, loaderContext)
-                    .catch((error) => {
-                        throw wrapError(error, 'Failed trying to transform content: {message}');
+        }
+
+        const getInput = typeof initialInput === 'function' ? initialInput : () => initialInput;
+        const cache = this._options.transformCache;
+        if (!cache) {
+            return this._applyLoaders(handlerContext, getInput, chain);
+        }
+
+        const {source, dependencies} = handlerContext;
+        const promiseForLoaderIdentities = Promise.all(chain.loaders.map(getLoaderCacheIdentity));
+        return Promise.join(source.getHash(), promiseForLoaderIdentities, (sourceHash, loaders) => {
+            // Loaders can depend on the source's path, and emit files relative to the destination directory,
+            // so both are part of the key, besides the content.
+            const key = cache.computeKey({
+                sourceHash,
+                resourcePath: handlerContext.resourcePath,
+                resourceQuery: handlerContext.resourceQuery,
+                destDir: this._destDir,
+                sourceMap: Boolean(this._sourceMapMode),
+                loaders
+            });
+            // Emitted files are cached with paths relative to the destination directory.
+            const mapEmittedFilePaths = (output, mapPath) => {
+                const emittedFiles = (output.emittedFiles || []).map((file) => {
+                    return Object.assign({}, file, {path: mapPath(file.path)});
+                });
+                return Object.assign({}, output, {emittedFiles});
+            };
+            return cache.get(key)
+                .then((entry) => {
+                    if (entry) {
+                        this._options.log.debug(`Using cached transformation for ${source.absolutePath}`);
+                        entry.dependencies.forEach((file) => dependencies.addDependency(file));
+                        entry.contextDependencies.forEach((dir) => dependencies.addContextDependency(dir));
+                        this._reportProblems(source, entry.output.problems);
+                        const output = mapEmittedFilePaths(entry.output, (filePath) => {
+                            return path.resolve(this._destDir, filePath);
+                        });
+                        return Object.assign(output, {cacheable: true});
+                    }
+                    return this._applyLoaders(handlerContext, getInput, chain)
+                        .tap((output) => {
+                            const shouldStore = output.cacheable && isJsonSerializable(output.value);
+                            const storedOutput = mapEmittedFilePaths(output, (filePath) => {
+                                return path.relative(this._destDir, filePath);
+                            });
+                            return shouldStore ? cache.set(key, storedOutput,
+                                R.without([source.absolutePath], dependencies.getDependencies()),
+                                dependencies.getContextDependencies()) : null;
+                        });
+                });
+        });
+    }
+
+    /**
+     * Create the loader context for each of this handler's loaders. The same context object is used
+     * for a loader's pitching and normal phases, so that its `data` is shared between them.
+     */
+    _createLoaderContexts(handlerContext, chain, {declaredCacheable, emittedFiles, problems}) {
+        const {useEntries, loaders, initialLoaderIndex} = chain;
+        const dependencyMethods = handlerContext.dependencies.getLoaderContextMethods();
+        const resource = `${handlerContext.resourcePath}${handlerContext.resourceQuery}`;
+        const moduleLoader = this._options.moduleLoader;
+
+        // Request strings are in webpack order: the loader applied last comes first, the resource last.
+        const toRequest = (loaderDescriptions, ...rest) => {
+            return loaderDescriptions.map(R.prop('request')).reverse().concat(rest).join('!');
+        };
+
+        return useEntries.map((useEntry, index) => {
+            const loaderIndex = initialLoaderIndex + index;
+            const remainingRequest = toRequest(R.take(loaderIndex, loaders), resource);
+            const loaderIdent = loaders[loaderIndex].ident;
+            const emitProblem = (severity) => (problem, metadata) => {
+                problems.push({severity, loader: loaderIdent, message: describeProblem(problem), metadata});
+            };
+            return Object.assign({}, handlerContext, dependencyMethods, {
+                data: {},
+                cacheable: (flag = true) => {
+                    declaredCacheable[index] = flag;
+                },
+                loadModule: (request, callback) => {
+                    moduleLoader.loadModule(handlerContext.context, request, handlerContext.dependencies)
+                        .then(({content, map, module}) => [content, map, module])
+                        .asCallback(callback, {spread: true});
+                },
+                importModule: (request, importOptions, callback) => {
+                    const promise = moduleLoader.importModule(
+                        handlerContext.context, request, handlerContext.dependencies);
+                    const cb = typeof importOptions === 'function' ? importOptions : callback;
+                    return cb ? promise.asCallback(cb) : promise;
+                },
+                exec: (code, filename) => execModule(code, filename, handlerContext.context),
+                emitWarning: emitProblem(Severity.WARNING),
+                emitError: emitProblem(Severity.ERROR),
+                log: handlerContext.log.child({loader: loaderIdent}),
+                emitFile: (name, content, sourceMap) => {
+                    emittedFiles.push({
+                        path: path.resolve(this._destDir, name),
+                        content,
+                        map: normalizeSourceMap(sourceMap)
+                    });
+                },
+                sourceMap: Boolean(this._sourceMapMode),
+                query: useEntry.getQuery(),
+                getOptions: (schema) => {
+                    try {
+                        return useEntry.getOptions(schema);
+                    }
+                    catch (error) {
+                        const where = `loader ${loaderIdent} in ${this._location}`;
+                        throw wrapError(error, `Error in options of ${where}: {message}`);
+                    }
+                },
+                loaders,
+                loaderIndex,
+                request: toRequest(loaders, resource),
+                remainingRequest,
+                previousRequest: toRequest(R.drop(R.inc(loaderIndex), loaders)),
+                currentRequest: toRequest([loaders[loaderIndex]], remainingRequest)
+            });
+        });
+    }
+
+    _applyLoaders(handlerContext, getInput, chain) {
+        const {useEntries, loaders, initialLoaderIndex} = chain;
+        const declaredCacheable = [];
+        const emittedFiles = [];
+        const problems = [];
+
+        return Promise.try(() => {
+            const loaderContexts = this._createLoaderContexts(
+                handlerContext, chain, {declaredCacheable, emittedFiles, problems});
+
+            // Errors thrown by a loader are attributed to it, so they can be reported per loader, along with
+            // where it failed: the location in its input that the error refers to (if any), and a code frame of
+            // the input there, unless the error message already has one. Only the input of the first loader is
+            // the source's content, so for the others, the location is in the output of the previous loader.
+            // Pitching loaders have no input, so the locations their errors refer to are left out.
+            const wrapLoaderError = (index, input = null) => (error) => {
+                const wrapped = wrapError(error, 'Failed trying to transform content: {message}');
+                const loaderIndex = initialLoaderIndex + index;
+                const sourceLocation = input ? getErrorLocation(error) : null;
+                const hasInputContent = input && !_.isNil(input.content);
+                throw Object.assign(wrapped, {
+                    loader: loaders[loaderIndex].ident,
+                    loaderIndex,
+                    loaderCount: loaders.length,
+                    handler: this._location,
+                    resourcePath: handlerContext.resourcePath,
+                    sourceLocation,
+                    inputIsSource: Boolean(input) && loaderIndex === 0, // eslint-disable-line no-magic-numbers
+                    codeFrameLines: sourceLocation && hasInputContent && !getErrorCodeFrame(error)
+                        ? formatCodeFrame(input.content, sourceLocation)
+                        : []
+                });
+            };
+
+            const indices = _.range(useEntries.length);
+
+            // Pitch from the last loader to the first, stopping at the first pitch that produces content.
+            const pitchInOrder = (remainingIndices) => {
+                if (_.isEmpty(remainingIndices)) {
+                    return Promise.resolve(null);
+                }
+                const [index, ...rest] = remainingIndices;
+                return useEntries[index].pitch(loaderContexts[index])
+                    .catch(wrapLoaderError(index))
+                    .then((result) => {
+                        return result ? {index, result} : pitchInOrder(rest);
+                    });
+            };
+
+            return pitchInOrder(R.reverse(indices))
+                .then((pitched) => {
+                    const normalIndices = pitched ? R.drop(R.inc(pitched.index), indices) : indices;
+                    const promiseForInput = pitched
+                        ? Promise.resolve(pitched.result)
+                        : Promise.resolve(getInput());
+
+                    return normalIndices.reduce((promiseForTransformation, index) => {
+                        return promiseForTransformation.then((input) => {
+                            return useEntries[index].transform(input, loaderContexts[index])
+                                .catch(wrapLoaderError(index, input));
+                        });
+                    }, promiseForInput)
+                        .then((output) => {
+                            return promiseForInput.then(({cacheable: inputCacheable = true}) => {
+                                const requiredIndices = pitched ? R.drop(pitched.index, indices) : indices;
+                                const cacheable = inputCacheable
+                                    && !declaredCacheable.includes(false)
+                                    && requiredIndices.every((index) => declaredCacheable[index] === true);
+                                return Object.assign({}, output, {cacheable, emittedFiles, problems});
+                            });
+                        });
+                });
+        })
+            .finally(() => this._reportProblems(handlerContext.source, problems));
+    }
+
+    /**
+     * Record the warnings and errors emitted by loaders while transforming the given source.
+     */
+    _reportProblems(source, problems = []) {
+        problems.forEach(({severity, loader, message, metadata}) => {
+            const details = {source: source.absolutePath, loader, problem: message, metadata};
+            this._options.diagnostics.addProblem(severity, details);
+        });
+    }
+}
+
+/**
+ * A group of handlers, defined by a handler with a `oneOf` property, of which only the first that applies to
+ * a source (if any) handles it. The group's own conditions must be satisfied for any of them to apply, and
+ * its members inherit its `sourceMap` and `parallel` properties, as forks do. A group can't have use entries,
+ * a destination, or forks of its own, but can be a fork itself, or a member of another group.
+ */
+class HandlerGroup extends Handler {
+
+    constructor(options, destDir, groupDef, parent = null, location = 'handler') {
+        const unsupportedKeys = _.intersection(Object.keys(groupDef), ['use', 'destination', 'fork']);
+        if (unsupportedKeys.length) {
+            throw new Error(`Handler with oneOf at ${location} can't also have: ${unsupportedKeys.join(', ')}`);
+        }
+        super(options, destDir, _.omit(groupDef, ['oneOf']), parent, location);
+        this._members = groupDef.oneOf.map((memberDef, index) => {
+            return createHandler(options, destDir, memberDef, this, `${location}.oneOf[${index}]`);
+        });
+    }
+
+    /**
+     * Find the first member of this group that applies to the given source, if this group's own conditions
+     * are satisfied, testing the members' conditions with handler contexts based on the group's. Returns a
+     * promise for the match of the member (or of a member of the member, if it's a group), or `null`.
+     */
+    findHandler(source, baseHandlerContext = null) {
+        return super.findHandler(source, baseHandlerContext)
+            .then((match) => {
+                return match ? findFirstHandler(this._members, source, match.handlerContext) : null;
+            });
+    }
+
+    /**
+     * Explain how this group handles the given source, as `Handler#explain` does, except that instead of a
+     * destination, loaders and forks, the explanation has the explanations of the group's `members` (those
+     * after the first that applies are only described as `skipped`). The group is only `satisfied` if its own
+     * condition and one of its members are.
+     */
+    explain(source, handlerContext = null, parentLoaders = []) {
+        const context = handlerContext || this.createHandlerContext(source, new DependencyTracker());
+        return this._condition.explain(source.absolutePath, context)
+            .then((condition) => {
+                if (!condition.satisfied) {
+                    return {location: this._location, satisfied: false, condition, members: []};
+                }
+                return explainFirstHandler(this._members, (member) => member.explain(source, context, parentLoaders))
+                    .then((members) => {
+                        const satisfied = members.some(R.prop('satisfied'));
+                        return {location: this._location, satisfied, condition, members};
                     });
             });
-        }, Promise.resolve(initialInput));
     }
+
+}
+
+/**
+ * Create a `Handler` for the given handler definition, or a `HandlerGroup` if it has a `oneOf` property.
+ */
+function createHandler(options, destDir, handlerDef, parent = null, location = 'handler') {
+    if (_.isUndefined(handlerDef.oneOf)) {
+        return new Handler(options, destDir, handlerDef, parent, location);
+    }
+    return new HandlerGroup(options, destDir, handlerDef, parent, location);
+}
+
+/**
+ * Find the first of the given handlers that applies to the given source (see `Handler#findHandler`).
+ * Returns a promise for its match, or `null` if none applies.
+ */
+function findFirstHandler(handlers, source, baseHandlerContext = null) {
+    return Promise.reduce(handlers, (found, handler) => {
+        return found || handler.findHandler(source, baseHandlerContext);
+    }, null);
+}
+
+/**
+ * Explain the given handlers with the given `explain` function, in order, until one of them applies; the
+ * handlers after it are only described as `skipped`. Returns a promise for an array of the explanations.
+ */
+function explainFirstHandler(handlers, explain) {
+    return Promise.reduce(handlers, (explanations, handler) => {
+        if (explanations.some(R.prop('satisfied'))) {
+            return [...explanations, {location: handler.getLocation(), skipped: true}];
+        }
+        return explain(handler).then((explanation) => [...explanations, explanation]);
+    }, []);
+}
+
+/**
+ * Convert content to the form a loader expects: a Buffer for raw loaders, otherwise a String
+ * (decoded as UTF-8 if necessary).
+ */
+function convertContentForLoader(content, raw) {
+    if (raw) {
+        return Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf-8');
+    }
+    return Buffer.isBuffer(content) ? content.toString('utf-8') : content;
+}
+
+/**
+ * Normalize content produced by a loader: Buffers are kept as is, anything else is made a String.
+ */
+function normalizeLoaderContent(content) {
+    return Buffer.isBuffer(content) ? content : String(content);
+}
+
+/**
+ * Normalize the options given for a loader, as an object or as a query string (with or without the leading
+ * `?`), to the value of the loader's `query`: the options object itself, or the query string with its leading
+ * `?`, or an empty string if there are no options.
+ */
+function normalizeLoaderQuery(options) {
+    if (_.isNil(options) || options === '') {
+        return '';
+    }
+    else if (typeof options === 'string') {
+        return options.startsWith('?') ? options : `?${options}`;
+    }
+    return options;
+}
+
+/**
+ * Returns a promise for an object identifying the loader with the given description (including its version,
+ * if it can be determined), and the options it is given, for use in transformation cache keys.
+ */
+function getLoaderCacheIdentity({path: modulePath, module, options, query, ident}) {
+    const isModuleFile = path.isAbsolute(modulePath);
+    return Promise.resolve(isModuleFile ? findPackageVersion(modulePath) : null)
+        .then((version) => ({
+            loader: isModuleFile ? modulePath : String(module),
+            version,
+            options,
+            query,
+            ident
+        }));
 }
 
 class UseEntry {
-    constructor(options, useEntry) {
+
+    /**
+     * @param  {Object} options   The options object.
+     * @param  {*} useEntry       The use entry definition from the config: a loader name (with an optional
+     *                            query string), a loader function, or an object.
+     * @param  {Object} defaults  Defaults from the entry's handler: whether the loader runs in `parallel`,
+     *                            and the `location` of the handler in the config, for messages.
+     */
+    constructor(options, useEntry, {parallel = false, location = 'handler'} = {}) {
         this._options = options;
+        this._identDef = null;
+        this._parallel = parallel;
+        this._location = location;
         if (typeof useEntry === 'object') {
-            const {loader, options: _loaderOptions = {}, ident, query = '', __strict__ = true} = useEntry;
+            // As in webpack, `query` is accepted as a legacy alias for `options`.
+            const {loader, options: loaderOptions, ident, query, parallel: entryParallel, __strict__ = true} = useEntry;
             if (__strict__) {
-                const removeKnownKeys = R.without(['loader', 'options', 'ident', 'query', '__strict__']);
+                const removeKnownKeys = R.without(['loader', 'options', 'ident', 'query', 'parallel', '__strict__']);
                 const unknownKeys = removeKnownKeys(Object.keys(useEntry));
                 if (unknownKeys.length) {
                     throw new Error(`Unknown keys in strict use entry: ${unknownKeys.join(', ')}`);
                 }
             }
 
-            this._loader = Loader.getLoader(options, loader);
-            this._loaderOptions = _loaderOptions;
+            this._loaderDef = loader;
+            this._query = normalizeLoaderQuery(_.isUndefined(loaderOptions) ? query : loaderOptions);
+            this._identDef = ident;
+            if (!_.isUndefined(entryParallel)) {
+                this._parallel = Boolean(entryParallel);
+            }
+        }
+        else if (typeof useEntry === 'string') {
+            const {name: loader, query} = splitQuery(useEntry);
+            this._loaderDef = loader;
             this._query = query;
-            this._ident = ident;
         }
         else {
-            this._loaderOptions = {};
-            // TODO: If useEntry is a string, parse query from it.
-            this._loader = Loader.getLoader(options, useEntry);
+            this._loaderDef = useEntry;
             this._query = '';
-            this._ident = null; // TODO: Implement ident.
         }
+        this._loader = Loader.getLoader(options, this._loaderDef);
+        this._loaderOptions = typeof this._query === 'string' ? parseQuery(this._query) : this._query;
+        this._defaultIdent = this._getDefaultIdent();
+        this._promiseForIdent = null;
+        if (this._parallel && typeof this._loaderDef === 'function') {
+            throw new Error(`Loader ${this._defaultIdent} can't run in parallel: only loader modules, `
+                + 'given by name or path, can run in worker threads');
+        }
+    }
+
+    /**
+     * The ident used when the entry doesn't specify one: the loader as configured (or the name of a
+     * loader function), followed by its query string, or its options object stringified.
+     */
+    _getDefaultIdent() {
+        const loaderName = typeof this._loaderDef === 'function'
+            ? `[function ${this._loaderDef.name || 'anonymous'}]`
+            : String(this._loaderDef);
+        if (typeof this._query === 'string') {
+            return `${loaderName}${this._query}`;
+        }
+        return `${loaderName}?${stableStringify(this._query)}`;
+    }
+
+    /**
+     * Returns a promise for this entry's ident: a string identifying the loader and its options, used to
+     * attribute messages to it, and as part of transformation cache keys. It is given by the `ident` property
+     * of the entry, which can be a string, or a function invoked with the loader and its options that returns
+     * a string (or a Promise for one); or else it is derived from the loader and its options.
+     */
+    getIdent() {
+        if (this._promiseForIdent === null) {
+            if (typeof this._identDef === 'function') {
+                this._promiseForIdent = this._getLoaderModule()
+                    .then((loader) => this._identDef(loader, this._loaderOptions))
+                    .then(String)
+                    .catch((error) => {
+                        throw wrapError(error, `Error computing ident for loader ${this._defaultIdent}: {message}`);
+                    });
+            }
+            else {
+                this._promiseForIdent = Promise.resolve(_.isNil(this._identDef) ? this._defaultIdent : this._identDef);
+            }
+        }
+        return this._promiseForIdent;
+    }
+
+    /**
+     * Return the loader's `query`, as exposed to it through the loader context: its options object, if it
+     * was given options as an object, or otherwise its query string (including the leading `?`), or an
+     * empty string if it has no options.
+     */
+    getQuery() {
+        return this._query;
+    }
+
+    /**
+     * Implements the `getOptions` loader API function: return the loader's options as an object, parsed from
+     * its query string if need be, validated against the given JSON schema, if any.
+     */
+    getOptions(schema) {
+        if (schema) {
+            validateOptions(schema, this._loaderOptions);
+        }
+        return this._loaderOptions;
     }
 
+    /**
+     * Returns a promise for the description of this entry's loader, as exposed to loaders in `this.loaders`:
+     * an object with the loader's `path`, `request`, `query`, `options`, `ident`, and `module`.
+     */
     getLoaderDescription() {
-        return this._loader.getLoaderDescription()
-            .then(({path: modulePath, module}) => {
-                return {
-                    path: modulePath,
-                    request: modulePath,
-                    query: this._query,
-                    module
-                };
-            });
+        return Promise.join(this._loader.getLoaderDescription(), this.getIdent(), (loaderDescription, ident) => {
+            const {path: modulePath, module} = loaderDescription;
+            return {
+                path: modulePath,
+                request: `${modulePath}${typeof this._query === 'string' ? this._query : ''}`,
+                query: this._query,
+                options: this._loaderOptions,
+                ident,
+                module
+            };
+        });
     }
 
-    transform(input, handlerContext) {
+    _getLoaderModule() {
         return this._loader.asPromised()
             .catch((error) => {
-                throw wrapError(error, `Error importing loader module for ${this._ident}: {message}`);
-            })
-            .then((loader) => {
-                const {
-                    content: inputContent,
-                    value: inputValue
-                } = input;
-
-                const loaderContext = Object.assign({}, handlerContext, {
-                    data: {},
-                    options: this._loaderOptions,
-                    inputValue,
-                    callback,
-                    async: () => callback
+                throw wrapError(error, `Error importing loader module for ${this._defaultIdent}: {message}`);
+            });
+    }
+
+    /**
+     * Invoke a phase of the given loader, its `pitch` function for the `'pitch'` phase or the loader itself
+     * for the `'normal'` phase, with the given loader context and arguments, as with `invokeLoaderFunction`,
+     * exposing this entry's options to it. If the entry runs in parallel, it is invoked in a worker thread
+     * of the run's `LoaderWorkerPool`.
+     */
+    _invoke(loader, phase, loaderContext, args, ident) {
+        loaderContext.options = this._loaderOptions;
+        if (this._parallel) {
+            return this._loader.getLoaderDescription()
+                .then(({path: modulePath}) => {
+                    const {workerPool} = this._options;
+                    return workerPool.run(modulePath, phase, loaderContext, args, {ident, location: this._location});
                 });
+        }
+        return invokeLoaderFunction(phase === 'pitch' ? loader.pitch : loader, loaderContext, args, ident);
+    }
 
-                let fulfill, reject;
-                const promise = new Promise((_fulfill, _reject) => {
-                    fulfill = _fulfill;
-                    reject = _reject;
+    /**
+     * Run the pitching phase of this entry's loader, if it has a `pitch` function. Returns a promise
+     * that fulfills with `null` if the loader has no pitch function or the pitch didn't produce any
+     * content, or otherwise with an input object (`{content, map}`) for the next loader.
+     */
+    pitch(loaderContext) {
+        return Promise.join(this._getLoaderModule(), this.getIdent(), (loader, ident) => {
+            if (typeof loader.pitch !== 'function') {
+                return null;
+            }
+            const {remainingRequest, previousRequest, data} = loaderContext;
+            return this._invoke(loader, 'pitch', loaderContext, [remainingRequest, previousRequest, data], ident)
+                .then((results) => {
+                    const [content, map] = results || [];
+                    if (_.isUndefined(content)) {
+                        return null;
+                    }
+                    return {
+                        content: normalizeLoaderContent(content),
+                        map: loaderContext.sourceMap ? normalizeSourceMap(map) : null
+                    };
                 });
-                function callback(error, newContent) {
-                    if (error) {
-                        reject(error);
+        });
+    }
+
+    /**
+     * Run the normal phase of this entry's loader, transforming the given input object (`{content, value, map}`)
+     * into a promise for a similar output object.
+     *
+     * The loader receives the content as a String, unless it is a raw loader (it exports `raw = true`),
+     * in which case it receives a Buffer. Either kind of loader can produce a String or a Buffer.
+     */
+    transform(input, loaderContext) {
+        return Promise.join(this._getLoaderModule(), this.getIdent(), (loader, ident) => {
+            const {
+                value: inputValue,
+                map: inputMap = null
+            } = input;
+            const inputContent = convertContentForLoader(input.content, loader.raw);
+
+            loaderContext.inputValue = inputValue;
+            return this._invoke(loader, 'normal', loaderContext, [inputContent, inputMap], ident)
+                .then((results) => {
+                    if (!results) {
+                        throw new Error(`Loader ${ident} did not return any content or invoke its callback`);
                     }
-                    else {
-                        fulfill({
-                            content: String(newContent),
-                            value: loaderContext.value
-                        });
+                    const [newContent, newMap] = results;
+                    try {
+                        return {
+                            content: normalizeLoaderContent(newContent),
+                            value: loaderContext.value,
+                            map: loaderContext.sourceMap
+                                ? composeSourceMaps(inputMap, normalizeSourceMap(newMap), String(inputContent))
+                                : null
+                        };
                     }
-                }
-                try {
-                    const newContent = loader.bind(loaderContext)(inputContent);
-                    if (!_.isUndefined(newContent)) {
-                        callback(null, newContent);
+                    catch (mapError) {
+                        throw wrapError(mapError, 'Error processing source map from loader: {message}');
                     }
-                }
-                catch (error) {
-                    throw wrapError(error, `Error applying loader ${this._ident}: {message}`);
-                }
-
-                return promise;
-            });
+                });
+        });
     }
 }
 
@@ -525,9 +1419,9 @@ class SourceFile {
 
     getHash() {
         if (this._promiseForHash === null) {
-            this._promiseForHash = this.getContentString()
-                .then((str) => {
-                    this.hash = this.hashString(str);
+            this._promiseForHash = this.getContent()
+                .then((content) => {
+                    this.hash = this.hashString(content);
                     return this.hash;
                 });
         }
@@ -0,0 +1,78 @@
+import path from 'path';
+import _ from 'lodash';
+
+/**
+ * Records the files (and directories) that an output depends on, as registered by loaders through
+ * `addDependency` and `addContextDependency`.
+ *
+ * Trackers form a hierarchy matching the handler hierarchy: a forked handler's output depends on
+ * everything its parent's output depends on, so a tracker created with a `parent` reports the parent's
+ * dependencies as well as its own. Dependencies added to a child tracker are _not_ visible through the parent.
+ */
+export class DependencyTracker {
+
+    constructor(parent = null) {
+        this._parent = parent;
+        this._files = [];
+        this._contexts = [];
+    }
+
+    addDependency(file) {
+        this._files.push(path.resolve(file));
+    }
+
+    addContextDependency(directory) {
+        this._contexts.push(path.resolve(directory));
+    }
+
+    /**
+     * Remove the dependencies recorded directly on this tracker. Dependencies inherited from a parent
+     * tracker are unaffected.
+     */
+    clearDependencies() {
+        this._files = [];
+        this._contexts = [];
+    }
+
+    /**
+     * Return an array of absolute paths to all files this output depends on, including inherited ones.
+     */
+    getDependencies() {
+        const inherited = this._parent ? this._parent.getDependencies() : [];
+        return _.uniq(inherited.concat(this._files));
+    }
+
+    /**
+     * Return an array of absolute paths to all directories this output depends on, including inherited ones.
+     */
+    getContextDependencies() {
+        const inherited = this._parent ? this._parent.getContextDependencies() : [];
+        return _.uniq(inherited.concat(this._contexts));
+    }
+
+    /**
+     * Test whether a change to the given absolute path affects the output this tracker belongs to:
+     * either the path is a file dependency, or it is inside a context dependency.
+     */
+    isAffectedBy(changedPath) {
+        return this.getDependencies().includes(changedPath)
+            || this.getContextDependencies().some((directory) => {
+                return changedPath === directory || changedPath.startsWith(`${directory}${path.sep}`);
+            });
+    }
+
+    /**
+     * Return the dependency functions of the loader API, bound to this tracker, to be mixed in
+     * to a loader context.
+     */
+    getLoaderContextMethods() {
+        return {
+            addDependency: (file) => this.addDependency(file),
+            dependency: (file) => this.addDependency(file),
+            addContextDependency: (directory) => this.addContextDependency(directory),
+            clearDependencies: () => this.clearDependencies(),
+            getDependencies: () => this.getDependencies(),
+            getContextDependencies: () => this.getContextDependencies()
+        };
+    }
+}
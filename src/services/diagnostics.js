@@ -0,0 +1,143 @@
+import _ from 'lodash';
+import R from 'ramda';
+import {getUnderlyingErrors} from './error-utils';
+
+/**
+ * The severities of problems recorded in `Diagnostics`.
+ */
+export const Severity = {
+    ERROR: 'error',
+    WARNING: 'warning'
+};
+
+/**
+ * Get a message describing a problem reported as an Error, or as anything else.
+ */
+export function describeProblem(problem) {
+    if (problem instanceof Error) {
+        return problem.message;
+    }
+    return String(problem);
+}
+
+/**
+ * Describe where the loader that the given error was thrown by failed (see `Handler._applyLoaders`): the source,
+ * the loader, and the handler it belongs to, and the line and column that the error refers to (if known), which
+ * are in the source for the first loader, and in the loader's input (the output of the previous loader) for the
+ * others, followed by a code frame of the loader's input at that location (if there is one). Returns an array of
+ * lines, which is empty if the error wasn't thrown by a loader.
+ */
+export function describeLoaderFailure(error) {
+    const failure = getUnderlyingErrors(error).find((underlying) => !_.isUndefined(underlying.loaderIndex));
+    if (!failure) {
+        return [];
+    }
+    const {
+        resourcePath, sourceLocation, inputIsSource, loader, loaderIndex, loaderCount, handler, codeFrameLines = []
+    } = failure;
+    const loaderNumber = R.inc(loaderIndex);
+    const position = sourceLocation ? _.compact([sourceLocation.line, sourceLocation.column]).join(':') : null;
+    const where = position && inputIsSource ? `${resourcePath}:${position}` : resourcePath;
+    const inInput = position && !inputIsSource ? `, at ${position} in the input of loader ${loaderNumber}` : '';
+    return [
+        `at ${where}, in loader ${loaderNumber} of ${loaderCount} (${loader}) of ${handler}${inInput}`,
+        ...codeFrameLines
+    ];
+}
+
+/**
+ * Collects the warnings and errors that occur during a run, whether reported by loaders through
+ * `emitWarning` and `emitError`, or raised while generating outputs, so that they can all be reported
+ * together at the end of the run instead of the run stopping at the first one.
+ *
+ * Each problem is recorded with the absolute path of the `source` it relates to (if any), and the
+ * `loader` that reported it (if known).
+ */
+export class Diagnostics {
+
+    constructor() {
+        this._problems = [];
+    }
+
+    /**
+     * Record a problem of the given severity. The `problem` can be an Error or a message. The same Error
+     * object is only recorded once per source, so failures shared between a handler and its forks aren't repeated.
+     */
+    addProblem(severity, {source = null, loader = null, problem, metadata = {}}) {
+        const alreadyRecorded = problem instanceof Error && this._problems.some((recorded) => {
+            return recorded.problem === problem && recorded.source === source;
+        });
+        if (!alreadyRecorded) {
+            this._problems.push({severity, source, loader, problem, message: describeProblem(problem), metadata});
+        }
+    }
+
+    addWarning(details) {
+        this.addProblem(Severity.WARNING, details);
+    }
+
+    addError(details) {
+        this.addProblem(Severity.ERROR, details);
+    }
+
+    getWarnings() {
+        return this._problems.filter(R.propEq('severity', Severity.WARNING));
+    }
+
+    getErrors() {
+        return this._problems.filter(R.propEq('severity', Severity.ERROR));
+    }
+
+    hasErrors() {
+        return !_.isEmpty(this.getErrors());
+    }
+
+    clear() {
+        this._problems = [];
+    }
+
+    /**
+     * Log a summary of all recorded problems, grouped by source, to the given logger. Nothing is logged
+     * if there are no problems.
+     */
+    report(log) {
+        if (_.isEmpty(this._problems)) {
+            return;
+        }
+        const errorCount = this.getErrors().length;
+        const warningCount = this.getWarnings().length;
+        const problemsBySource = _.groupBy(this._problems, (problem) => problem.source || '(no source)');
+        const sourceCount = _.size(problemsBySource);
+        const summary = `${errorCount} error(s) and ${warningCount} warning(s) in ${sourceCount} source(s)`;
+        (errorCount ? log.error : log.warning)(`Problems occurred: ${summary}`);
+
+        Object.keys(problemsBySource).sort().forEach((source) => {
+            log.info(source);
+            problemsBySource[source].forEach(({severity, loader, problem, message, metadata}) => {
+                const line = loader ? `  [${loader}] ${message}` : `  ${message}`;
+                const failureLines = describeLoaderFailure(problem).map((failureLine) => `    ${failureLine}`);
+                const lines = _.isEmpty(failureLines) ? line : [line, ...failureLines];
+                const logFn = severity === Severity.ERROR ? log.error : log.warning;
+                if (_.isEmpty(metadata)) {
+                    logFn(lines);
+                }
+                else {
+                    logFn(lines, metadata);
+                }
+            });
+        });
+    }
+
+    /**
+     * Determine the exit code of the process based on the recorded problems and the given exit policy:
+     * a non-zero code if there were any errors, if `warningsAsErrors` is true and there were any warnings,
+     * or if `maxWarnings` is a number and there were more warnings than that.
+     */
+    getExitCode({warningsAsErrors = false, maxWarnings = null} = {}) {
+        const warningCount = this.getWarnings().length;
+        const failed = this.hasErrors()
+            || (warningsAsErrors && warningCount > 0) // eslint-disable-line no-magic-numbers
+            || (_.isNumber(maxWarnings) && warningCount > maxWarnings);
+        return failed ? 1 : 0; // eslint-disable-line no-magic-numbers
+    }
+}
@@ -1,5 +1,6 @@
 import stringTemplate from 'string-template';
 import es6TemplateString from 'es6-template-strings';
+import R from 'ramda';
 
 function formatMessage(fmt, context) {
     if (typeof fmt === 'function') {
@@ -10,14 +11,70 @@ function formatMessage(fmt, context) {
     }
 }
 
-export function getDeepStackTrace(error) {
-    let trace = error.stack;
-    let nextCause = error.cause;
-    while (nextCause) {
-        trace += `\n  caused by: ${nextCause.stack}\n`;
-        nextCause = nextCause.cause;
+/**
+ * Get the errors that the given error was caused by, starting with the error itself: those given by the
+ * `cause` of each error (see `wrapError`), and by the `error` property that some loaders (like `babel-loader`)
+ * wrap errors in.
+ */
+export function getUnderlyingErrors(error) {
+    const errors = [];
+    let next = error;
+    while (next && !errors.includes(next)) {
+        errors.push(next);
+        next = next.cause || (next.error instanceof Error ? next.error : null);
+    }
+    return errors;
+}
+
+const STACK_FRAME = /^\s+at /;
+
+/**
+ * Split the stack of an error into its heading (the error's name and message, which may take several
+ * lines) and its frames. Values that aren't Errors have no frames.
+ */
+function splitStack(error) {
+    if (!(error instanceof Error) || typeof error.stack !== 'string') {
+        return {heading: String(error), frames: []};
+    }
+    const lines = error.stack.split('\n');
+    const firstFrameIndex = lines.findIndex((line) => STACK_FRAME.test(line));
+    if (firstFrameIndex < 0) { // eslint-disable-line no-magic-numbers
+        return {heading: error.stack, frames: []};
     }
-    return trace;
+    return {
+        heading: R.take(firstFrameIndex, lines).join('\n'),
+        frames: R.drop(firstFrameIndex, lines).map((line) => line.trim())
+    };
+}
+
+/**
+ * Count the frames at the bottom of a stack that are the same as those at the bottom of another.
+ */
+function countSharedFrames(frames, otherFrames) {
+    const otherFramesFromBottom = R.reverse(otherFrames);
+    const firstDifferent = R.reverse(frames).findIndex((frame, index) => frame !== otherFramesFromBottom[index]);
+    return firstDifferent < 0 ? frames.length : firstDifferent; // eslint-disable-line no-magic-numbers
+}
+
+/**
+ * Describe the given error and the errors it was caused by (see `getUnderlyingErrors`), each with its stack
+ * trace. As in Java, the frames that the stack of a cause shares with the stack of the error it caused are
+ * left out, and counted instead.
+ */
+export function getDeepStackTrace(error) {
+    const stacks = getUnderlyingErrors(error).map(splitStack);
+    return stacks.map(({heading, frames}, index) => {
+        const enclosingFrames = index ? stacks[R.dec(index)].frames : [];
+        const shared = countSharedFrames(frames, enclosingFrames);
+        const lines = [
+            index ? `Caused by: ${heading}` : heading,
+            ...R.dropLast(shared, frames).map((frame) => `    ${frame}`)
+        ];
+        if (shared) {
+            lines.push(`    ... ${shared} more`);
+        }
+        return lines.join('\n');
+    }).join('\n');
 }
 
 /**
@@ -0,0 +1,69 @@
+import _ from 'lodash';
+import Ajv from 'ajv';
+
+const SPECIAL_VALUES = {
+    'null': null,
+    'true': true,
+    'false': false
+};
+
+const ajv = new Ajv({allErrors: true});
+
+/**
+ * Parse a loader query string, like `?cacheDirectory&presets[]=es2015`, into an options object, the way
+ * `loader-utils` does: if the query (after the leading `?`) starts with `{`, it is parsed as JSON. Otherwise,
+ * it is a list of arguments separated by `&` or `,`, where `name=value` sets `name` to the URI-decoded `value`
+ * (with `true`, `false` and `null` converted), `name[]=value` appends `value` to an array, and a bare `name`
+ * (or `+name`) sets it to `true`, or `-name` sets it to `false`.
+ *
+ * An empty query gives an empty object.
+ */
+export function parseQuery(query) {
+    const queryBody = query.replace(/^\?/, '');
+    if (!queryBody) {
+        return {};
+    }
+    else if (queryBody.startsWith('{')) {
+        try {
+            return JSON.parse(queryBody);
+        }
+        catch (error) {
+            throw new Error(`Invalid JSON in loader query '${query}': ${error.message}`);
+        }
+    }
+
+    return queryBody.split(/[,&]/g).filter(Boolean).reduce((result, arg) => {
+        const [rawName, ...valueParts] = arg.split('=');
+        const name = decodeURIComponent(rawName);
+        if (_.isEmpty(valueParts)) {
+            if (name.startsWith('-')) {
+                result[name.substr('-'.length)] = false;
+            }
+            else {
+                result[name.replace(/^\+/, '')] = true;
+            }
+            return result;
+        }
+
+        const rawValue = decodeURIComponent(valueParts.join('='));
+        const value = _.has(SPECIAL_VALUES, rawValue) ? SPECIAL_VALUES[rawValue] : rawValue;
+        if (name.endsWith('[]')) {
+            const arrayName = name.substr(0, name.length - '[]'.length); // eslint-disable-line no-magic-numbers
+            result[arrayName] = (result[arrayName] || []).concat([value]);
+        }
+        else {
+            result[name] = value;
+        }
+        return result;
+    }, {});
+}
+
+/**
+ * Validate loader options against the given JSON schema, throwing an Error that describes every
+ * violation if they are invalid.
+ */
+export function validateOptions(schema, options) {
+    if (!ajv.validate(schema, options)) {
+        throw new Error(`Invalid options: ${ajv.errorsText(ajv.errors, {dataVar: 'options'})}`);
+    }
+}
@@ -0,0 +1,126 @@
+import Promise from 'bluebird';
+import _ from 'lodash';
+import Module from 'module';
+import path from 'path';
+import util from 'util';
+import vm from 'vm';
+import {wrapError} from './error-utils';
+import {getErrorLocation, getErrorCodeFrame} from './code-frame';
+
+/**
+ * Invoke the given loader function (a loader itself or its `pitch` function) with the given
+ * loader context and arguments, supporting all the ways a loader can produce results: returning
+ * them, returning a Promise, calling `this.callback`, or calling the callback returned by `this.async()`.
+ *
+ * Returns a promise for an array of the results (the arguments passed to the callback, after the error),
+ * or for `null` if the function synchronously returned `undefined` without calling back. The given
+ * `ident` of the loader is used in error messages.
+ */
+export function invokeLoaderFunction(loaderFunction, loaderContext, args, ident) {
+    return new Promise((fulfill, reject) => {
+        let isAsync = false;
+        let isDone = false;
+        const callback = (error, ...results) => {
+            if (isDone) {
+                throw new Error(`Callback invoked more than once by loader ${ident}`);
+            }
+            isDone = true;
+            if (error) {
+                reject(error);
+            }
+            else {
+                fulfill(results);
+            }
+        };
+        Object.assign(loaderContext, {
+            callback,
+            async: () => {
+                isAsync = true;
+                return callback;
+            }
+        });
+
+        let result;
+        try {
+            result = loaderFunction.apply(loaderContext, args);
+        }
+        catch (error) {
+            reject(wrapError(error, `Error applying loader ${ident}: {message}`));
+            return;
+        }
+
+        if (isAsync || isDone) {
+            return;
+        }
+        else if (result && typeof result.then === 'function') {
+            Promise.resolve(result).then((value) => callback(null, value), callback);
+        }
+        else if (_.isUndefined(result)) {
+            isDone = true;
+            fulfill(null);
+        }
+        else {
+            callback(null, result);
+        }
+    });
+}
+
+/**
+ * The parameters of the function that the code of a CommonJS module is wrapped in.
+ */
+const MODULE_WRAPPER_PARAMS = ['exports', 'require', 'module', '__filename', '__dirname'];
+
+/**
+ * Implements the `exec` loader API function: run the given code as a CommonJS module with the given
+ * filename, resolving its own `require`s relative to the given context, and return its exports.
+ */
+export function execModule(code, filename, context) {
+    // A trailing separator makes `createRequire` resolve from the context directory itself.
+    const contextRequire = Module.createRequire(path.join(context, path.sep));
+    const compiledModule = {id: filename, filename, exports: {}, loaded: false, require: contextRequire};
+    const wrapper = vm.compileFunction(String(code), MODULE_WRAPPER_PARAMS, {filename});
+    wrapper.call(compiledModule.exports, compiledModule.exports, contextRequire, compiledModule, filename,
+        path.dirname(filename));
+    compiledModule.loaded = true;
+    return compiledModule.exports;
+}
+
+/**
+ * Prepare a value to be passed to or from a worker thread: Errors, which can't be passed as is, are converted to
+ * plain objects (see `deserializeValue`), keeping the location they refer to (see `getErrorLocation`), and the code
+ * frame their message has (see `getErrorCodeFrame`).
+ */
+export function serializeValue(value) {
+    if (value instanceof Error) {
+        return {
+            __error__: true,
+            message: value.message,
+            stack: value.stack,
+            sourceLocation: getErrorLocation(value),
+            codeFrame: getErrorCodeFrame(value)
+        };
+    }
+    return value;
+}
+
+/**
+ * Restore a value passed from another thread, as prepared by `serializeValue`: Errors are recreated, and Buffers,
+ * which arrive as plain `Uint8Arrays`, are made Buffers again.
+ */
+export function deserializeValue(value) {
+    if (util.types.isUint8Array(value) && !Buffer.isBuffer(value)) {
+        return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+    }
+    else if (value && value.__error__) {
+        const error = new Error(value.message);
+        error.stack = value.stack;
+        if (value.sourceLocation) {
+            error.sourceLocation = value.sourceLocation;
+        }
+        if (!_.isNil(value.codeFrame)) {
+            error.codeFrame = value.codeFrame;
+        }
+        return error;
+    }
+    return value;
+}
@@ -0,0 +1,107 @@
+/**
+ * The script run by each worker thread of a `LoaderWorkerPool`: it runs one phase of a loader at a time, as
+ * requested by the main thread, with a loader context rebuilt from the serializable properties of the main
+ * thread's loader context. Loader API functions with side effects are forwarded to the main thread.
+ */
+import {parentPort} from 'worker_threads';
+import Promise from 'bluebird';
+import R from 'ramda';
+import {invokeLoaderFunction, execModule, serializeValue, deserializeValue} from './loader-runner';
+import {validateOptions} from './loader-options';
+import {wrapError} from './error-utils';
+import {LOG_LEVELS} from './logger';
+
+/**
+ * Loader API functions that are invoked on the main thread's loader context, ignoring their return values.
+ */
+const FORWARDED_METHODS = [
+    'cacheable', 'emitWarning', 'emitError', 'emitFile',
+    'addDependency', 'dependency', 'addContextDependency', 'clearDependencies'
+];
+
+/**
+ * Loader API functions that take a node-style callback, and are invoked on the main thread's loader context,
+ * with the results passed back to the callback.
+ */
+const REQUESTED_METHODS = ['resolve', 'loadModule'];
+
+/**
+ * Loader API functions that can't be provided to loaders running in a worker thread.
+ */
+const UNAVAILABLE_METHODS = ['resolveSync', 'importModule', 'getDependencies', 'getContextDependencies'];
+
+const pendingCallbacks = {};
+let nextCallId = 0;
+
+function createLoaderContext({taskId, context, ident, location}) {
+    const post = (message) => parentPort.postMessage(Object.assign({taskId}, message));
+    const loaderContext = Object.assign({}, context, {
+        getOptions: (schema) => {
+            try {
+                if (schema) {
+                    validateOptions(schema, context.options);
+                }
+                return context.options;
+            }
+            catch (error) {
+                throw wrapError(error, `Error in options of loader ${ident} in ${location}: {message}`);
+            }
+        },
+        exec: (code, filename) => execModule(code, filename, context.context)
+    });
+
+    FORWARDED_METHODS.forEach((method) => {
+        loaderContext[method] = (...args) => {
+            post({type: 'call', method, args: args.map(serializeValue)});
+        };
+    });
+    REQUESTED_METHODS.forEach((method) => {
+        loaderContext[method] = (...args) => {
+            const callId = nextCallId;
+            nextCallId = R.inc(nextCallId);
+            pendingCallbacks[callId] = R.last(args);
+            post({type: 'request', callId, method, args: R.init(args)});
+        };
+    });
+    // Messages logged with `this.log` are logged by the main thread's logger for the loader.
+    loaderContext.log = R.fromPairs(LOG_LEVELS.map((level) => [level, (...args) => {
+        post({type: 'call', method: `log.${level}`, args: args.map(serializeValue)});
+    }]));
+    UNAVAILABLE_METHODS.forEach((method) => {
+        loaderContext[method] = () => {
+            throw new Error(`this.${method} is not available to loader ${ident}, since it runs in parallel`);
+        };
+    });
+    return loaderContext;
+}
+
+function runTask(task) {
+    const {taskId, modulePath, phase, ident, args} = task;
+    const post = (message) => parentPort.postMessage(Object.assign({taskId}, message));
+    const loaderContext = createLoaderContext(task);
+    Promise.try(() => {
+        const loader = require(modulePath);
+        const loaderFunction = phase === 'pitch' ? loader.pitch : loader;
+        return invokeLoaderFunction(loaderFunction, loaderContext, args.map(deserializeValue), ident);
+    })
+        .then((results) => {
+            post({
+                type: 'done',
+                results: results && results.map(serializeValue),
+                data: loaderContext.data,
+                value: loaderContext.value
+            });
+        })
+        .catch((error) => post({type: 'failed', error: serializeValue(error)}));
+}
+
+parentPort.on('message', (message) => {
+    if (message.type === 'run') {
+        runTask(message);
+    }
+    else if (message.type === 'reply') {
+        const callback = pendingCallbacks[message.callId];
+        delete pendingCallbacks[message.callId];
+        callback(deserializeValue(message.error), ...message.results.map(deserializeValue));
+    }
+});
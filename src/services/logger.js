@@ -1,3 +1,7 @@
+import Promise from 'bluebird';
+import _ from 'lodash';
+import fs from 'fs';
+import process from 'process';
 import leftpad from 'leftpad';
 
 const CRITICAL = 0;
@@ -7,6 +11,38 @@ const INFO = 3;
 const DEBUG = 4;
 const TRACE = 5;
 
+/**
+ * The names of the log levels, from most to least severe, which are also the names of the logging methods.
+ */
+export const LOG_LEVELS = ['critical', 'error', 'warning', 'info', 'debug', 'trace'];
+
+/**
+ * The formats a `Logger` can write in: `'text'`, fields separated by colons; `'pretty'`, for people, with
+ * colors if enabled; and `'json'`, one JSON object per message (NDJSON).
+ */
+export const LOG_FORMATS = ['text', 'pretty', 'json'];
+
+/**
+ * ANSI escape codes for the colors of the `'pretty'` format.
+ */
+const COLORS = {
+    reset: '\u001b[0m',
+    dim: '\u001b[2m',
+    red: '\u001b[31m',
+    yellow: '\u001b[33m',
+    cyan: '\u001b[36m',
+    gray: '\u001b[90m',
+    magenta: '\u001b[35m'
+};
+const LEVEL_COLORS = {
+    [CRITICAL]: COLORS.magenta,
+    [ERROR]: COLORS.red,
+    [WARNING]: COLORS.yellow,
+    [INFO]: COLORS.cyan,
+    [DEBUG]: COLORS.gray,
+    [TRACE]: COLORS.gray
+};
+
 class MultilineLogBuilder {
     constructor() {
         this._lines = [];
@@ -14,7 +50,7 @@ class MultilineLogBuilder {
     }
 
     appendLine(line) {
-        this._lines.append(line);
+        this._lines.push(line);
         return this;
     }
 
@@ -28,10 +64,56 @@ class MultilineLogBuilder {
     }
 }
 
+function parseLevel(level) {
+    if (!LOG_LEVELS.includes(level)) {
+        throw new Error(`Invalid log level: '${level}', expected one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    return LOG_LEVELS.indexOf(level);
+}
+
+/**
+ * Logs messages, each a line (or an array of lines) with optional metadata, at one of the `LOG_LEVELS`.
+ * Messages less severe than the logger's level are discarded. The others are written to the console (errors,
+ * or everything with the `stderr` option, to stderr), and to a file, if one is given.
+ *
+ * Child loggers (see `child`) log through the same console and file, with additional metadata, like the source
+ * and loader a message relates to.
+ */
 export class Logger {
 
-    constructor(name) {
+    /**
+     * @param  {String} name        The name of the logger, included in every message.
+     * @param  {Object} options     _Optional_:
+     *
+     *  * `level`: The least severe level of messages to log. The default is `'trace'`, which logs everything.
+     *  * `format`: One of the `LOG_FORMATS`. The default is `'text'`.
+     *  * `colors`: Whether the `'pretty'` format colors messages written to the console. By default, messages
+     *      are colored if the stream they are written to (stdout or stderr) is a terminal. Messages written to
+     *      a file are never colored.
+     *  * `file`: The path of a file to append messages to, besides writing them to the console. Call `close`
+     *      once done logging, to end it.
+     *  * `console`: Set to `false` to not write messages to the console.
+     *  * `stderr`: Set to `true` to write every message to stderr, e.g. when stdout is used for the output
+     *      of a command.
+     *  * `metadata`: Metadata added to every message.
+     */
+    constructor(name, {
+        level: levelName = 'trace', format = 'text', colors = null, file = null,
+        console: logToConsole = true, stderr: logToStderr = false, metadata = {}, fileStream = null
+    } = {}) {
         this._name = name;
+        this._levelName = levelName;
+        this._level = parseLevel(levelName);
+        if (!LOG_FORMATS.includes(format)) {
+            throw new Error(`Invalid log format: '${format}', expected one of: ${LOG_FORMATS.join(', ')}`);
+        }
+        this._format = format;
+        this._colors = colors;
+        this._logToConsole = logToConsole;
+        this._logToStderr = logToStderr;
+        this._metadata = metadata;
+        // Children share their parent's stream, given with the (private) `fileStream` option.
+        this._fileStream = fileStream || (file ? fs.createWriteStream(file, {flags: 'a'}) : null);
 
         [
             [CRITICAL, 'critical'],
@@ -55,6 +137,28 @@ export class Logger {
         return new MultilineLogBuilder();
     }
 
+    /**
+     * Create a logger that logs like this one, adding the given metadata to every message.
+     */
+    child(metadata) {
+        return new Logger(this._name, {
+            level: this._levelName,
+            format: this._format,
+            colors: this._colors,
+            console: this._logToConsole,
+            stderr: this._logToStderr,
+            metadata: Object.assign({}, this._metadata, metadata),
+            fileStream: this._fileStream
+        });
+    }
+
+    /**
+     * Whether messages of the given level are logged.
+     */
+    isEnabled(level) {
+        return level <= this._level;
+    }
+
     describeLevel(level) {
         switch (level) {
             case CRITICAL: return 'CRITICAL';
@@ -63,18 +167,44 @@ export class Logger {
             case INFO: return 'INFO    ';
             case DEBUG: return 'DEBUG   ';
             case TRACE: return 'TRACE   ';
-            default: return leftpad(level, 'CRITICAL'.length());
+            default: return leftpad(level, 'CRITICAL'.length, ' ');
         }
     }
 
-    log(level, _lines, metadata) {
+    log(level, _lines, _metadata) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
         const now = new Date();
         const lines = _lines instanceof Array ? _lines : [_lines];
-        const stream = this.isError(level) ? console.error : console.log; // eslint-disable-line no-console
+        const metadata = _.isEmpty(this._metadata) ? _metadata : Object.assign({}, this._metadata, _metadata);
+        const formattedLines = this.formatMessage(now, level, lines, _.isEmpty(metadata) ? null : metadata);
+
+        if (this._logToConsole) {
+            const toStderr = this._logToStderr || this.isError(level);
+            const stream = toStderr ? console.error : console.log; // eslint-disable-line no-console
+            const consoleStream = toStderr ? process.stderr : process.stdout;
+            const colors = _.isNull(this._colors) ? Boolean(consoleStream.isTTY) : this._colors;
+            formattedLines.forEach((line) => stream(colors ? line : stripColors(line)));
+        }
+        // Nothing more is written to the file once closed, e.g. by loaders that are still running.
+        if (this._fileStream && this._fileStream.writable) {
+            this._fileStream.write(formattedLines.map((line) => `${stripColors(line)}\n`).join(''));
+        }
+    }
 
-        const lineNumberFromIndex = (index) => index + 1;   // eslint-disable-line no-magic-numbers
-        lines.forEach((line, index) => {
-            stream(this.formatLogLine(now, level, line, metadata, lineNumberFromIndex(index), lines.length));
+    /**
+     * End the file that this logger appends messages to, if any, which it shares with its parent and children.
+     * Returns a promise that fulfills once everything logged has been written to it.
+     */
+    close() {
+        const fileStream = this._fileStream;
+        if (!fileStream || !fileStream.writable) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => {
+            fileStream.once('error', reject);
+            fileStream.end(resolve);
         });
     }
 
@@ -94,12 +224,107 @@ export class Logger {
         return ':';
     }
 
+    /**
+     * Format a message in this logger's format, returning the lines to write. Lines of the `'pretty'` format
+     * include color codes, which are stripped if colors aren't enabled.
+     */
+    formatMessage(now, level, lines, metadata) {
+        switch (this._format) {
+            case 'json':
+                return [this.formatJsonMessage(now, level, lines, metadata)];
+
+            case 'pretty': {
+                const lastIndex = lines.length - 1; // eslint-disable-line no-magic-numbers
+                return lines.map((line, index) => {
+                    return this.formatPrettyLine(now, level, line, index === lastIndex ? metadata : null);
+                });
+            }
+
+            default: {
+                const lineNumberFromIndex = (index) => index + 1;   // eslint-disable-line no-magic-numbers
+                return lines.map((line, index) => {
+                    return this.formatLogLine(now, level, line, metadata, lineNumberFromIndex(index), lines.length);
+                });
+            }
+        }
+    }
+
     formatLogLine(now, level, line, metadata, lineNumber, totalLines) {
         const components = [
             this.getName(), this.formatTimestamp(now), this.describeLevel(level),
-            `${lineNumber}/${totalLines}`, lineNumber === totalLines && this.formatMetaData(metadata),
+            `${lineNumber}/${totalLines}`, lineNumber === totalLines && metadata && this.formatMetaData(metadata),
             line
         ].filter(Boolean);
         return components.join(this.getFieldSeparator());
     }
+
+    formatPrettyLine(now, level, line, metadata) {
+        const time = now.toTimeString().split(' ')[0]; // eslint-disable-line no-magic-numbers
+        const levelColor = LEVEL_COLORS[level] || '';
+        const details = metadata
+            ? ` ${COLORS.dim}${_.map(metadata, (value, key) => `${key}=${formatPrettyValue(value)}`).join(' ')}`
+            : '';
+        return `${COLORS.dim}${time}${COLORS.reset} ${levelColor}${this.describeLevel(level)}${COLORS.reset} `
+            + `${line}${details}${COLORS.reset}`;
+    }
+
+    formatJsonMessage(now, level, lines, metadata) {
+        return JSON.stringify(Object.assign({}, metadata, {
+            time: this.formatTimestamp(now),
+            level: LOG_LEVELS[level] || level,
+            logger: this.getName(),
+            message: lines.join('\n')
+        }));
+    }
+}
+
+function formatPrettyValue(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function stripColors(line) {
+    return line.replace(/\u001b\[\d+m/g, '');
+}
+
+/**
+ * Methods of other kinds of loggers (like the `console`) used for logging methods they don't have.
+ */
+const LOGGING_METHOD_ALIASES = {
+    critical: 'error',
+    warning: 'warn'
+};
+
+/**
+ * Adapt the given logger to the interface of a `Logger`, so any logger can be plugged in. The given logger
+ * can be a `Logger`, or any object with some of its logging methods (`critical`, `error`, `warning`, `info`,
+ * `debug`, and `trace`), each invoked with a message (or an array of lines) and optional metadata. Missing
+ * `critical` and `warning` methods fall back to `error` and `warn` (as on the `console`), and any other missing
+ * methods discard what's logged. Without a logger, everything is discarded. Child loggers pass their metadata
+ * to the given logger along with the metadata of each message.
+ */
+export function adaptLogger(logger = null, metadata = {}) {
+    if (logger instanceof Logger) {
+        return _.isEmpty(metadata) ? logger : logger.child(metadata);
+    }
+    const adapted = {
+        multilineLogBuilder: () => new MultilineLogBuilder(),
+        child: (childMetadata) => adaptLogger(logger, Object.assign({}, metadata, childMetadata))
+    };
+    LOG_LEVELS.forEach((methodName) => {
+        const loggerMethodName = [methodName, LOGGING_METHOD_ALIASES[methodName]].find((name) => {
+            return Boolean(name) && Boolean(logger) && typeof logger[name] === 'function';
+        });
+        if (!loggerMethodName) {
+            adapted[methodName] = _.noop;
+        }
+        else if (_.isEmpty(metadata)) {
+            adapted[methodName] = (...args) => logger[loggerMethodName](...args);
+        }
+        else {
+            adapted[methodName] = (lines, messageMetadata) => {
+                logger[loggerMethodName](lines, Object.assign({}, metadata, messageMetadata));
+            };
+        }
+    });
+    return adapted;
 }
@@ -0,0 +1,189 @@
+import Promise from 'bluebird';
+import _ from 'lodash';
+import path from 'path';
+import * as mzfs from 'mz/fs';
+import mkdirp from 'mkdirp';
+import {wrapError} from './error-utils';
+
+const mkdirpAsPromised = Promise.promisify(mkdirp);
+
+const MANIFEST_FORMAT_VERSION = 1;
+
+/**
+ * The name of the manifest file, written in the output path of each configuration.
+ */
+export const MANIFEST_FILE_NAME = '.rosetta-manifest.json';
+
+function ignoreMissing(error) {
+    if (error.code !== 'ENOENT') {
+        throw error;
+    }
+}
+
+/**
+ * Delete the given files, ignoring any that no longer exist, then remove any of their parent directories
+ * (up to, but not including, the given `baseDirectory`) that are left empty.
+ */
+function removeFilesAndEmptyDirectories(filePaths, baseDirectory) {
+    return Promise.each(filePaths, (filePath) => {
+        return Promise.resolve(mzfs.unlink(filePath))
+            .catch(ignoreMissing)
+            .catch((error) => {
+                throw wrapError(error, `Failed trying to remove output file ${filePath}: {message}`);
+            });
+    })
+        .then(() => {
+            const directories = _.uniq(_.flatMap(filePaths, (filePath) => {
+                const directoriesOfFile = [];
+                let directory = path.dirname(filePath);
+                while (directory.startsWith(`${baseDirectory}${path.sep}`)) {
+                    directoriesOfFile.push(directory);
+                    directory = path.dirname(directory);
+                }
+                return directoriesOfFile;
+            }));
+            // Deepest first, so directories that only contained empty directories are removed as well.
+            const deepestFirst = _.sortBy(directories, (directory) => -directory.split(path.sep).length);
+            return Promise.each(deepestFirst, (directory) => {
+                return Promise.resolve(mzfs.rmdir(directory)).catch(() => null);
+            });
+        });
+}
+
+/**
+ * Records every file generated from a configuration, in a manifest file in its output path, so that outputs
+ * which are no longer generated (because their source was removed, or no handler matches it anymore) can be
+ * removed on the next run, and so that all the generated files can be cleaned up without touching unrelated
+ * files in the output directory.
+ *
+ * Each file is recorded, relative to the output path, with its `source` (relative to the --root-dir), the
+ * source's `sourceHash`, the location of the `handler` and the idents of the `loaders` that generated it,
+ * and the `hash` of its content.
+ */
+export class Manifest {
+
+    constructor(options, outputPath, files = {}) {
+        this._options = options;
+        this._outputPath = outputPath;
+        this._files = files;
+    }
+
+    /**
+     * Returns a promise for the manifest in the given output path, which is empty if there is no manifest
+     * file (or it can't be read).
+     */
+    static load(options, outputPath) {
+        return Promise.resolve(mzfs.readFile(path.join(outputPath, MANIFEST_FILE_NAME)))
+            .then((content) => {
+                const {version, files} = JSON.parse(content.toString('utf-8'));
+                return version === MANIFEST_FORMAT_VERSION ? files : {};
+            })
+            .catch(() => ({}))
+            .then((files) => new Manifest(options, outputPath, files));
+    }
+
+    getPath() {
+        return path.join(this._outputPath, MANIFEST_FILE_NAME);
+    }
+
+    /**
+     * Return the absolute paths of all files in this manifest.
+     */
+    getFiles() {
+        return Object.keys(this._files).map((relativePath) => path.join(this._outputPath, relativePath));
+    }
+
+    /**
+     * Record the files written by the given `OutputGenerator`. Returns a promise that fulfills once they
+     * are recorded.
+     */
+    record(outputGenerator) {
+        const source = outputGenerator.getSource();
+        return Promise.join(source.getHash(), outputGenerator.getLoaders(), (sourceHash, loaders) => {
+            outputGenerator.getWrittenFiles().forEach(({path: filePath, hash}) => {
+                this._files[path.relative(this._outputPath, filePath)] = {
+                    source: path.relative(this._options.rootDir, source.absolutePath),
+                    sourceHash,
+                    handler: outputGenerator.getHandlerLocation(),
+                    loaders,
+                    hash
+                };
+            });
+        });
+    }
+
+    /**
+     * Copy the entries for files generated from the given source (an absolute path) from another manifest,
+     * unless this manifest already has entries for the same files.
+     */
+    carryOver(otherManifest, sourcePath) {
+        const relativeSourcePath = path.relative(this._options.rootDir, sourcePath);
+        _.forOwn(otherManifest._files, (entry, relativePath) => {
+            if (entry.source === relativeSourcePath && !_.has(this._files, relativePath)) {
+                this._files[relativePath] = entry;
+            }
+        });
+    }
+
+    /**
+     * Write this manifest to its file, unless the file already has the same content.
+     */
+    save() {
+        const manifest = {version: MANIFEST_FORMAT_VERSION, files: this._files};
+        const content = `${JSON.stringify(manifest, null, 2)}\n`; // eslint-disable-line no-magic-numbers
+        return Promise.resolve(mzfs.readFile(this.getPath(), 'utf-8'))
+            .catch(() => null)
+            .then((existingContent) => {
+                if (existingContent === content) {
+                    return null;
+                }
+                return mkdirpAsPromised(this._outputPath)
+                    .then(() => mzfs.writeFile(this.getPath(), content));
+            })
+            .catch((error) => {
+                throw wrapError(error, `Failed trying to write manifest ${this.getPath()}: {message}`);
+            });
+    }
+
+    /**
+     * Delete the given files, which should be files listed in this manifest, and any directories left empty
+     * by removing them. The files are not removed from the manifest itself.
+     */
+    removeFiles(filePaths) {
+        return removeFilesAndEmptyDirectories(filePaths, this._outputPath)
+            .tap(() => {
+                filePaths.forEach((filePath) => this._options.log.info(`Removed ${filePath}`));
+            });
+    }
+
+    /**
+     * Delete every file in this manifest, and the manifest file itself.
+     */
+    clean() {
+        return this.removeFiles(this.getFiles())
+            .then(() => Promise.resolve(mzfs.unlink(this.getPath())).catch(ignoreMissing))
+            .then(() => {
+                this._files = {};
+            });
+    }
+}
+
+/**
+ * Create the manifest for a configuration's output path after a build, from the `OutputGenerators` of the
+ * build and the manifest of the previous build. Files in the previous manifest that were not generated by
+ * this build are deleted, except those generated from sources whose outputs failed to generate this time,
+ * which are kept (and stay in the manifest). Returns a promise for an object with the new `manifest`, once
+ * it is saved, and the absolute paths of the `removedFiles`.
+ */
+export function updateManifest(options, outputPath, outputGenerators, previousManifest) {
+    const manifest = new Manifest(options, outputPath);
+    const [written, unwritten] = _.partition(outputGenerators, (gen) => !_.isEmpty(gen.getWrittenFiles()));
+    return Promise.each(written, (gen) => manifest.record(gen))
+        .then(() => {
+            unwritten.forEach((gen) => manifest.carryOver(previousManifest, gen.getSource().absolutePath));
+            const staleFiles = _.difference(previousManifest.getFiles(), manifest.getFiles());
+            return manifest.removeFiles(staleFiles)
+                .then(() => manifest.save())
+                .then(() => ({manifest, removedFiles: staleFiles}));
+        });
+}
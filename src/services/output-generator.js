@@ -1,10 +1,66 @@
+import Promise from 'bluebird';
+import _ from 'lodash';
+import path from 'path';
+import * as mzfs from 'mz/fs';
+import mkdirp from 'mkdirp';
+import crypto from 'crypto';
+import {wrapError} from './error-utils';
+import {sourceMapForDestination, sourceMappingUrlComment, sourceMapToDataUrl} from './source-maps';
+
+const mkdirpAsPromised = Promise.promisify(mkdirp);
+
+function hashContent(content) {
+    const hash = crypto.createHash('sha256');
+    hash.update(content);
+    return hash.digest('hex');
+}
+
+/**
+ * Returns a promise for whether the file at the given path exists with exactly the given content.
+ */
+function hasContent(filePath, content) {
+    return Promise.resolve(mzfs.readFile(filePath))
+        .then((existingContent) => existingContent.equals(Buffer.isBuffer(content) ? content : Buffer.from(content)))
+        .catch(() => false);
+}
+
+function appendComment(content, comment) {
+    return Buffer.isBuffer(content) ? Buffer.concat([content, Buffer.from(comment, 'utf-8')]) : `${content}${comment}`;
+}
 
 export class OutputGenerator {
 
-    constructor(options, source, dest) {
+    /**
+     * @param  {Object} options                  The options object.
+     * @param  {SourceFile} source               The source the output is generated from.
+     * @param  {String} dest                     The absolute path of the destination file.
+     * @param  {DependencyTracker} dependencies  Records what the output depends on, if tracked.
+     * @param  {String} handlerLocation          Describes where the handler generating the output is
+     *                                           defined in the config, if there is one.
+     */
+    constructor(options, source, dest, dependencies = null, handlerLocation = null) {
         this._options = options;
         this._source = source;
         this._dest = dest;
+        this._dependencies = dependencies;
+        this._handlerLocation = handlerLocation;
+        this._writtenFiles = [];
+        this._writtenFileStates = {};
+    }
+
+    /**
+     * Return the `SourceFile` this output is generated from.
+     */
+    getSource() {
+        return this._source;
+    }
+
+    /**
+     * Return the `DependencyTracker` recording what this output depends on, or `null` if dependencies
+     * are not tracked for it.
+     */
+    getDependencies() {
+        return this._dependencies;
     }
 
     /**
@@ -14,18 +70,210 @@ export class OutputGenerator {
         return this._dest;
     }
 
+    /**
+     * Return where the handler generating this output is defined in the config, like
+     * `output.handlers[0].fork[1]`, or `null` if it isn't generated by a handler.
+     */
+    getHandlerLocation() {
+        return this._handlerLocation;
+    }
+
     /**
      * Return a string describing the origin of this output. This should typically include
      * a terse description of the handler and the input file.
-     *
-     * TODO: implement getOrigin, here or in subclasses.
      */
-    getOrigin() {}
+    getOrigin() {
+        const sourcePath = path.relative(this._options.rootDir, this._source.absolutePath);
+        return this._handlerLocation ? `${sourcePath} via ${this._handlerLocation}` : sourcePath;
+    }
+
+    /**
+     * Return a promise for an array of the idents of the loaders applied to generate this output,
+     * in the order they are applied.
+     */
+    getLoaders() {
+        return Promise.resolve([]);
+    }
+
+    /**
+     * Return a promise for a description of this output, without generating it: an object with the `source`
+     * and `destination` paths, and the paths of any `emittedFiles` (all relative to the --root-dir), and the
+     * `handler` location and `loaders` (see `getHandlerLocation` and `getLoaders`). This requires preparing
+     * the output, to find out what files its loaders emit.
+     */
+    describeOutput() {
+        const relativeToRoot = (filePath) => path.relative(this._options.rootDir, filePath);
+        return Promise.join(this.prepareOutput(), this.getLoaders(), (emittedFiles, loaders) => ({
+            source: relativeToRoot(this._source.absolutePath),
+            destination: relativeToRoot(this._dest),
+            handler: this._handlerLocation,
+            loaders,
+            emittedFiles: emittedFiles.map(relativeToRoot)
+        }));
+    }
+
+    /**
+     * Do whatever work is needed to compute the output, without writing anything, and return a promise
+     * for an array of the absolute paths of any additional files that will be written along with the
+     * destination file when the output is generated.
+     */
+    prepareOutput() {
+        return Promise.resolve([]);
+    }
+
+    /**
+     * Forget the output computed by `prepareOutput` or `generateOutput`, so its content doesn't stay in memory.
+     * It's computed again if this output is prepared or generated again. Outputs of the same source can share
+     * what they're computed from, so this should only be called once all of them are generated.
+     */
+    releaseOutput() {
+        // Nothing is kept by default.
+    }
 
     /**
-     * Actually generate output files, given the provided object of `options`.
+     * Actually generate output files, given the provided object of `options`. Returns a promise for whether
+     * any file was actually written, i.e., `false` if every file already had the generated content.
      */
     generateOutput() {
         throw new Error('generateOutput method not implemented. You should extend this type');
     }
+
+    /**
+     * Write the given content (a String or a Buffer) to the destination file, creating parent directories
+     * as needed. Buffers are written untouched.
+     *
+     * If a source `map` is given, it is written according to `sourceMapMode`: for `'file'`, a sibling
+     * `.map` file is written next to the destination; for `'inline'`, the map is embedded in the
+     * destination as a data URL. In either case, a `sourceMappingURL` comment is only added to
+     * destination types that support it; for others (e.g., JSON), the map is written as a sibling file
+     * without a comment.
+     *
+     * Files that already have the exact content to write are left untouched, so their modification times
+     * are preserved. Returns a promise for whether any file was actually written.
+     */
+    writeOutput(content, map = null, sourceMapMode = false) {
+        return this._writeFiles(this._getFilesToWrite(this.getDestination(), content, map, sourceMapMode));
+    }
+
+    /**
+     * Write additional files emitted by loaders along with the output. `emittedFiles` is an array of
+     * `{path, content, map}` objects, with absolute paths. Source maps, and files that are unchanged, are
+     * handled as in `writeOutput`.
+     */
+    writeEmittedFiles(emittedFiles, sourceMapMode = false) {
+        return this._writeFiles(_.flatten(emittedFiles.map(({path: filePath, content, map}) => {
+            return this._getFilesToWrite(filePath, content, map, sourceMapMode);
+        })));
+    }
+
+    /**
+     * Return an array of `[path, content]` pairs for the files to write for the given content written to
+     * the given destination, with the given source map.
+     */
+    _getFilesToWrite(destinationPath, content, map, sourceMapMode) {
+        const files = [];
+        if (map && sourceMapMode) {
+            const destinationMap = sourceMapForDestination(map, destinationPath);
+            const mapPath = `${destinationPath}.map`;
+            const inlineComment = sourceMapMode === 'inline'
+                && sourceMappingUrlComment(destinationPath, sourceMapToDataUrl(destinationMap));
+            if (inlineComment) {
+                files.push([destinationPath, appendComment(content, inlineComment)]);
+            }
+            else {
+                const fileComment = sourceMappingUrlComment(destinationPath, path.basename(mapPath));
+                files.push([destinationPath, fileComment ? appendComment(content, fileComment) : content]);
+                files.push([mapPath, JSON.stringify(destinationMap)]);
+            }
+        }
+        else {
+            files.push([destinationPath, content]);
+        }
+        return files;
+    }
+
+    _writeFiles(files) {
+        return Promise.all(files.map(([filePath, fileContent]) => {
+            return hasContent(filePath, fileContent)
+                .then((unchanged) => {
+                    if (unchanged) {
+                        return false;
+                    }
+                    return mkdirpAsPromised(path.dirname(filePath))
+                        .then(() => mzfs.writeFile(filePath, fileContent))
+                        .then(() => true);
+                })
+                .tap((changed) => {
+                    this._writtenFileStates[filePath] = {hash: hashContent(fileContent), changed};
+                })
+                .catch((error) => {
+                    throw wrapError(error, `Failed trying to write destination file ${filePath}: {message}`);
+                });
+        }))
+            .then((writtenFlags) => {
+                this._writtenFiles = _.union(this._writtenFiles, files.map(([filePath]) => filePath));
+                return writtenFlags.some(Boolean);
+            });
+    }
+
+    /**
+     * Return the files written by this generator so far (the destination file, and any source maps or files
+     * emitted by loaders), as an array of `{path, hash, changed}` objects, with absolute paths, hashes of the
+     * content, and whether the file was actually written the last time, rather than left unchanged.
+     */
+    getWrittenFiles() {
+        return this._writtenFiles.map((filePath) => Object.assign({path: filePath}, this._writtenFileStates[filePath]));
+    }
+
+    /**
+     * Delete the files previously written by this generator (or just the destination file, if nothing
+     * has been written by this instance). Files that no longer exist are ignored.
+     */
+    removeOutput() {
+        const filePaths = this._writtenFiles.length ? this._writtenFiles : [this.getDestination()];
+        return Promise.all(filePaths.map((filePath) => {
+            return Promise.resolve(mzfs.unlink(filePath))
+                .catch((error) => {
+                    if (error.code !== 'ENOENT') {
+                        throw wrapError(error, `Failed trying to remove output file ${filePath}: {message}`);
+                    }
+                });
+        }))
+            .then(() => {
+                this._writtenFiles = [];
+                this._writtenFileStates = {};
+            });
+    }
+}
+
+/**
+ * Generates output by copying its source verbatim to the destination. Used for sources that no handler
+ * matched, when unmatched files are configured to be copied.
+ */
+export class CopyOutputGenerator extends OutputGenerator {
+
+    getOrigin() {
+        return `${super.getOrigin()} (copied, no handler matched)`;
+    }
+
+    /**
+     * Copy the source, invoking the `beforeEmit` and `afterEmit` plugin hooks (see `createPluginHooks`), if
+     * there are any, as for the outputs of handlers (with a `null` handler).
+     */
+    generateOutput() {
+        const {hooks = null} = this._options;
+        const outputDescription = {source: this.getSource(), destination: this.getDestination(), handler: null};
+        return this.getSource().getContent()
+            .tap((content) => hooks && hooks.beforeEmit.call(content, outputDescription))
+            .then((content) => this.writeOutput(content))
+            .tap((written) => {
+                if (written) {
+                    this._options.log.info(`Copied ${this.getDestination()}`);
+                }
+                else {
+                    this._options.log.debug(`Unchanged ${this.getDestination()}`);
+                }
+                return hooks && hooks.afterEmit.call(this.getWrittenFiles(), outputDescription);
+            });
+    }
 }
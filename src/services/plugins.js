@@ -0,0 +1,87 @@
+import Promise from 'bluebird';
+import _ from 'lodash';
+import {wrapError} from './error-utils';
+
+/**
+ * The hooks that plugins can tap, in the order they are invoked during a build.
+ */
+export const HOOK_NAMES = [
+    'beforeRun', 'sourceDiscovered', 'beforeTransform', 'afterTransform', 'beforeEmit', 'afterEmit', 'done'
+];
+
+/**
+ * A point in the build that plugins can tap with functions, which are invoked in the order they were tapped.
+ * A function can return a promise, in which case the next one isn't invoked until it fulfills.
+ */
+class Hook {
+    constructor(name) {
+        this._name = name;
+        this._taps = [];
+    }
+
+    /**
+     * Add the given function to this hook, on behalf of the plugin with the given name (used in error messages).
+     */
+    tap(pluginName, fn) {
+        if (typeof fn !== 'function') {
+            throw new Error(`Plugin ${pluginName} tried to tap the ${this._name} hook with a ${typeof fn}, `
+                + 'expected a function');
+        }
+        this._taps.push({pluginName, fn});
+    }
+
+    _invokeTap({pluginName, fn}, args) {
+        return Promise.try(() => fn(...args))
+            .catch((error) => {
+                throw wrapError(error, `Plugin ${pluginName} failed in the ${this._name} hook: {message}`);
+            });
+    }
+
+    /**
+     * Invoke every function with the given arguments, one after the other. Returns a promise that fulfills
+     * once they have all finished, or rejects with the first failure.
+     */
+    call(...args) {
+        return Promise.each(this._taps, (tap) => this._invokeTap(tap, args)).then(_.noop);
+    }
+
+    /**
+     * Invoke every function with the given value and the rest of the given arguments, one after the other, each
+     * with the value returned by the previous one (or the same value, if it returned `undefined`). Returns a
+     * promise for the value returned by the last one.
+     */
+    reduce(value, ...args) {
+        return Promise.reduce(this._taps, (currentValue, tap) => {
+            return this._invokeTap(tap, [currentValue, ...args])
+                .then((newValue) => {
+                    return _.isUndefined(newValue) ? currentValue : newValue;
+                });
+        }, value);
+    }
+}
+
+/**
+ * Create the hooks of a configuration (an object with a `Hook` for each of the `HOOK_NAMES`), tapped by the
+ * given plugins. Each plugin is either an object with an `apply` method, or a function, which is invoked with
+ * the hooks to tap them, e.g.: `hooks.afterTransform.tap('banner', (content) => '// Banner\n' + content)`.
+ */
+export function createPluginHooks(plugins = [], location = 'plugins') {
+    if (!(plugins instanceof Array)) {
+        throw new Error(`${location}: expected an array of plugins`);
+    }
+    const hooks = _.fromPairs(HOOK_NAMES.map((name) => [name, new Hook(name)]));
+    plugins.forEach((plugin, index) => {
+        const pluginLocation = `${location}[${index}]`;
+        const apply = typeof plugin === 'function' ? plugin : plugin && plugin.apply;
+        if (typeof apply !== 'function') {
+            throw new Error(`${pluginLocation}: expected a function, or an object with an apply method`);
+        }
+        try {
+            apply.call(plugin, hooks);
+        }
+        catch (error) {
+            throw wrapError(error, `Error applying plugin at ${pluginLocation}: {message}`);
+        }
+    });
+    return hooks;
+}
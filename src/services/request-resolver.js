@@ -0,0 +1,119 @@
+import Promise from 'bluebird';
+import _ from 'lodash';
+import resolve from 'resolve';
+import {wrapError} from './error-utils';
+
+const resolveAsPromised = Promise.promisify(resolve);
+
+const REQUEST_PREFIX = /^(-!|!!|!)/;
+const DEFAULT_EXTENSIONS = ['.js', '.json'];
+
+/**
+ * Split a request component (a loader or a resource) into its name and its query, which includes
+ * the leading `?`, or is an empty string if there is no query.
+ */
+export function splitQuery(component) {
+    const [name, ...queryParts] = component.split('?');
+    return {name, query: queryParts.length ? `?${queryParts.join('?')}` : ''};
+}
+
+/**
+ * Parse a webpack-style inline request, like `a-loader?x!b-loader!./file?q`.
+ *
+ * Returns an object with the following properties:
+ *
+ *  * `prefix`: The prefix of the request, one of `''`, `'!'`, `'!!'`, or `'-!'`. As in webpack, any of these
+ *      prefixes means that loaders configured for the resource should not be applied, only the inline
+ *      loaders given in the request.
+ *  * `loaders`: An array of `{request, query}` objects for the inline loaders, _in application order_: the
+ *      loader at index 0 is applied first. This is the reverse of the order in which they appear in the request.
+ *  * `resource`: The resource part of the request, without its query.
+ *  * `resourceQuery`: The query of the resource, including the leading `?`, or an empty string.
+ */
+export function parseRequest(request) {
+    const prefixMatch = REQUEST_PREFIX.exec(request);
+    const prefix = prefixMatch ? _.head(prefixMatch) : '';
+    const components = request.substr(prefix.length).split('!').filter(Boolean);
+    if (_.isEmpty(components)) {
+        throw new Error(`Request does not specify a resource: '${request}'`);
+    }
+    const {name: resource, query: resourceQuery} = splitQuery(_.last(components));
+    const loaders = _.initial(components).reverse().map((component) => {
+        const {name, query} = splitQuery(component);
+        return {request: name, query};
+    });
+    return {prefix, loaders, resource, resourceQuery};
+}
+
+/**
+ * The inverse of `parseRequest`: build a request string from an object like the ones it returns. Each loader
+ * may have a `path` property, which is used in place of its `request`, and likewise a `resourcePath`
+ * property can take the place of `resource`.
+ */
+export function stringifyRequest({prefix = '', loaders = [], resource, resourcePath, resourceQuery = ''}) {
+    const loaderRequests = loaders.map(({request, path: loaderPath, query = ''}) => `${loaderPath || request}${query}`);
+    return `${prefix}${loaderRequests.reverse().concat([`${resourcePath || resource}${resourceQuery}`]).join('!')}`;
+}
+
+/**
+ * Resolves requests made by loaders through the `resolve` and `resolveSync` loader API functions.
+ *
+ * Inline loaders in the request are resolved as loader modules, relative to the configuration's context (the
+ * same way loaders in handler definitions are), and the resource is resolved relative to the context given
+ * with the request. The result is the request with every component replaced by its absolute path; for the
+ * common case of a request without inline loaders, that is simply the absolute path to the resource
+ * (plus its query, if any).
+ */
+export class RequestResolver {
+
+    /**
+     * @param  {String} loaderContext The directory relative to which inline loaders are resolved.
+     * @param  {Array<String>} extensions The file extensions to try when resolving resources.
+     */
+    constructor(loaderContext, extensions = DEFAULT_EXTENSIONS) {
+        this._loaderContext = loaderContext;
+        this._extensions = extensions;
+    }
+
+    _getResolveOptions(basedir) {
+        return {basedir, extensions: this._extensions};
+    }
+
+    /**
+     * Returns a promise for the resolved request string.
+     */
+    resolve(context, request) {
+        return Promise.try(() => parseRequest(request))
+            .then((parsed) => {
+                return Promise.join(
+                    Promise.all(parsed.loaders.map((loader) => {
+                        return resolveAsPromised(loader.request, this._getResolveOptions(this._loaderContext))
+                            .then((loaderPath) => Object.assign({}, loader, {path: loaderPath}));
+                    })),
+                    resolveAsPromised(parsed.resource, this._getResolveOptions(context)),
+                    (loaders, resourcePath) => stringifyRequest(Object.assign({}, parsed, {loaders, resourcePath}))
+                );
+            })
+            .catch((error) => {
+                throw wrapError(error, `Cannot resolve '${request}' in ${context}: {message}`);
+            });
+    }
+
+    /**
+     * Synchronous version of `resolve`, returns the resolved request string.
+     */
+    resolveSync(context, request) {
+        try {
+            const parsed = parseRequest(request);
+            const loaders = parsed.loaders.map((loader) => {
+                const loaderPath = resolve.sync(loader.request, this._getResolveOptions(this._loaderContext));
+                return Object.assign({}, loader, {path: loaderPath});
+            });
+            const resourcePath = resolve.sync(parsed.resource, this._getResolveOptions(context));
+            return stringifyRequest(Object.assign({}, parsed, {loaders, resourcePath}));
+        }
+        catch (error) {
+            throw wrapError(error, `Cannot resolve '${request}' in ${context}: {message}`);
+        }
+    }
+}
@@ -0,0 +1,101 @@
+import {SourceMapConsumer, SourceMapGenerator} from 'source-map';
+import path from 'path';
+
+/**
+ * Normalize a source map as given to a loader callback into a plain object, or `null`
+ * if there is no map. Loaders are allowed to provide maps either as objects or as JSON strings.
+ */
+export function normalizeSourceMap(map) {
+    if (!map) {
+        return null;
+    }
+    else if (typeof map === 'string') {
+        return JSON.parse(map);
+    }
+    else if (typeof map.toJSON === 'function') {
+        return map.toJSON();
+    }
+    return map;
+}
+
+/**
+ * Determine whether the given source map maps back to the given content, i.e., the content
+ * is listed in the map's `sourcesContent`.
+ */
+function mapsBackToContent(map, content) {
+    return Boolean(map.sourcesContent) && map.sourcesContent.some((sourceContent) => sourceContent === content);
+}
+
+/**
+ * Given the source map that came in to a loader (mapping the loader's input to the original
+ * source) and the source map the loader produced, return a single map from the loader's
+ * output all the way back to the original source.
+ *
+ * Well behaved loaders (like `babel-loader`) consume the input map themselves and return a map
+ * that already points to the original source, in which case it is returned as is. If the loader
+ * instead returned a map that points to its own input (detected by the input content appearing
+ * in the map's `sourcesContent`), the two maps are composed here.
+ *
+ * @param  {Object} inputMap     The map for the loader's input, or `null`.
+ * @param  {Object} outputMap    The map returned by the loader, or `null`.
+ * @param  {String} inputContent The content that was passed to the loader.
+ * @return {Object}              The composed source map, or `null` if there is none.
+ */
+export function composeSourceMaps(inputMap, outputMap, inputContent) {
+    if (!inputMap || !outputMap) {
+        return outputMap;
+    }
+    if (!mapsBackToContent(outputMap, inputContent)) {
+        return outputMap;
+    }
+
+    const intermediateSource = outputMap.sources[outputMap.sourcesContent.indexOf(inputContent)];
+    const generator = SourceMapGenerator.fromSourceMap(new SourceMapConsumer(outputMap));
+    generator.applySourceMap(new SourceMapConsumer(inputMap), intermediateSource);
+    return generator.toJSON();
+}
+
+/**
+ * Prepare a source map to be written alongside the given destination file: the `file` property
+ * is set to the destination's basename, and `sources` that resolve to absolute paths (possibly through
+ * an absolute `sourceRoot`) are made relative to the destination's directory so the output tree can
+ * be relocated.
+ */
+export function sourceMapForDestination(map, destinationPath) {
+    const destDir = path.dirname(destinationPath);
+    const sourceRoot = map.sourceRoot && path.isAbsolute(map.sourceRoot) ? map.sourceRoot : null;
+    return Object.assign({}, map, {
+        file: path.basename(destinationPath),
+        sourceRoot: sourceRoot ? '' : map.sourceRoot,
+        sources: (map.sources || []).map((source) => {
+            const absoluteSource = sourceRoot ? path.resolve(sourceRoot, source) : source;
+            return path.isAbsolute(absoluteSource) ? path.relative(destDir, absoluteSource) : source;
+        })
+    });
+}
+
+const BLOCK_COMMENT_EXTENSIONS = ['.css', '.less', '.scss'];
+const LINE_COMMENT_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs'];
+
+/**
+ * Return the `sourceMappingURL` comment used to link the given destination file to the given URL,
+ * or `null` if the type of destination file doesn't support such comments (e.g., JSON).
+ */
+export function sourceMappingUrlComment(destinationPath, url) {
+    const extension = path.extname(destinationPath).toLowerCase();
+    if (LINE_COMMENT_EXTENSIONS.includes(extension)) {
+        return `\n//# sourceMappingURL=${url}\n`;
+    }
+    else if (BLOCK_COMMENT_EXTENSIONS.includes(extension)) {
+        return `\n/*# sourceMappingURL=${url} */\n`;
+    }
+    return null;
+}
+
+/**
+ * Encode a source map as a base64 `data:` URL, for inline source maps.
+ */
+export function sourceMapToDataUrl(map) {
+    const encoded = Buffer.from(JSON.stringify(map)).toString('base64');
+    return `data:application/json;charset=utf-8;base64,${encoded}`;
+}
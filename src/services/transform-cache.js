@@ -0,0 +1,219 @@
+import Promise from 'bluebird';
+import _ from 'lodash';
+import path from 'path';
+import crypto from 'crypto';
+import * as mzfs from 'mz/fs';
+import mkdirp from 'mkdirp';
+
+const mkdirpAsPromised = Promise.promisify(mkdirp);
+
+const CACHE_FORMAT_VERSION = 2;
+
+/**
+ * The default cache directory, relative to the --root-dir.
+ */
+export const DEFAULT_CACHE_DIRECTORY = 'node_modules/.cache/rosetta';
+
+const getPath = ({path: filePath}) => filePath;
+
+function hashString(str) {
+    const hash = crypto.createHash('sha256');
+    hash.update(str);
+    return hash.digest('hex');
+}
+
+/**
+ * Like `JSON.stringify`, but with object keys sorted so equal values always stringify the same,
+ * and with functions and RegExps included (by their source) rather than dropped.
+ */
+export function stableStringify(value) {
+    if (typeof value === 'function' || value instanceof RegExp) {
+        return JSON.stringify(String(value));
+    }
+    else if (value instanceof Array) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    else if (value && typeof value === 'object') {
+        const pairs = Object.keys(value).sort()
+            .filter((key) => !_.isUndefined(value[key]))
+            .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${pairs.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Test whether the given value survives a round trip through JSON unchanged, and can therefore be
+ * stored in the cache. `undefined` is considered serializable.
+ */
+export function isJsonSerializable(value) {
+    if (_.isUndefined(value)) {
+        return true;
+    }
+    try {
+        return _.isEqual(JSON.parse(JSON.stringify(value)), value);
+    }
+    catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Find the version of the package that contains the module at the given path, by looking for the nearest
+ * `package.json` in the module's directory or one of its ancestors. Fulfills with `null` if there is none.
+ */
+export function findPackageVersion(modulePath) {
+    const searchFrom = (directory) => {
+        const packageJsonPath = path.join(directory, 'package.json');
+        return Promise.resolve(mzfs.readFile(packageJsonPath))
+            .then((content) => JSON.parse(content.toString('utf-8')).version || null)
+            .catch(() => {
+                const parent = path.dirname(directory);
+                return parent === directory ? null : searchFrom(parent);
+            });
+    };
+    return searchFrom(path.dirname(modulePath));
+}
+
+/**
+ * Encode content for storage as JSON: Buffers are stored as base64.
+ */
+function encodeContent(content) {
+    return Buffer.isBuffer(content) ? {base64: content.toString('base64')} : content;
+}
+
+function decodeContent(content) {
+    return (content && typeof content === 'object') ? Buffer.from(content.base64, 'base64') : content;
+}
+
+function encodeOutput({content, map, value, emittedFiles = [], problems = []}) {
+    return {
+        content: encodeContent(content),
+        map,
+        value,
+        problems,
+        emittedFiles: emittedFiles.map((file) => Object.assign({}, file, {content: encodeContent(file.content)}))
+    };
+}
+
+function decodeOutput({content, map, value, emittedFiles = [], problems = []}) {
+    return {
+        content: decodeContent(content),
+        map,
+        value,
+        problems,
+        emittedFiles: emittedFiles.map((file) => Object.assign({}, file, {content: decodeContent(file.content)}))
+    };
+}
+
+function hashFile(filePath) {
+    return Promise.resolve(mzfs.readFile(filePath))
+        .then(hashString)
+        .catch(() => null);
+}
+
+function hashDirectoryListing(directory) {
+    return Promise.resolve(mzfs.readdir(directory))
+        .then((names) => Promise.all(names.sort().map((name) => {
+            return Promise.resolve(mzfs.stat(path.join(directory, name)))
+                .then((stats) => `${name}:${stats.mtime.getTime()}`)
+                .catch(() => name);
+        })))
+        .then((entries) => hashString(entries.join('\n')))
+        .catch(() => null);
+}
+
+/**
+ * A persistent, on-disk cache of transformation results, so unchanged sources don't need to be run
+ * through their loaders again on subsequent runs.
+ *
+ * Each entry is stored as a JSON file in the cache directory, named for the entry's key. Along with the
+ * transformed content, each entry records hashes of every file and directory the transformation depended
+ * on (as registered through `addDependency` and `addContextDependency`), and the entry is only used if
+ * those are all unchanged.
+ */
+export class TransformCache {
+
+    constructor(options, directory) {
+        this._options = options;
+        this._directory = directory;
+    }
+
+    getDirectory() {
+        return this._directory;
+    }
+
+    /**
+     * Compute a cache key from the given description of a transformation: any value that fully identifies
+     * the input and the loaders applied to it.
+     */
+    computeKey(description) {
+        return hashString(stableStringify({version: CACHE_FORMAT_VERSION, description}));
+    }
+
+    _getEntryPath(key) {
+        return path.join(this._directory, `${key}.json`);
+    }
+
+    /**
+     * Return a promise for the cached entry for the given key, or for `null` if there is no entry or
+     * it is no longer valid. A valid entry is an object with `output` (`{content, map, value, emittedFiles,
+     * problems}`), and `dependencies` and `contextDependencies` arrays of absolute paths.
+     */
+    get(key) {
+        return Promise.resolve(mzfs.readFile(this._getEntryPath(key)))
+            .then((content) => JSON.parse(content.toString('utf-8')))
+            .catch(() => null)
+            .then((entry) => {
+                if (!entry) {
+                    return null;
+                }
+                return Promise.join(
+                    Promise.all(entry.dependencies.map(({path: filePath}) => hashFile(filePath))),
+                    Promise.all(entry.contextDependencies.map(({path: dirPath}) => hashDirectoryListing(dirPath))),
+                    (fileHashes, dirHashes) => {
+                        const unchanged = entry.dependencies.every(({hash}, idx) => hash === fileHashes[idx])
+                            && entry.contextDependencies.every(({hash}, idx) => hash === dirHashes[idx]);
+                        if (!unchanged) {
+                            this._options.log.debug(`Cache entry ${key} is stale, a dependency has changed`);
+                            return null;
+                        }
+                        return {
+                            output: decodeOutput(entry.output),
+                            dependencies: entry.dependencies.map(getPath),
+                            contextDependencies: entry.contextDependencies.map(getPath)
+                        };
+                    }
+                );
+            });
+    }
+
+    /**
+     * Store the given transformation output (`{content, map, value, emittedFiles, problems}`) in the cache under the
+     * given key, along with the current hashes of the given dependencies. Failure to write the cache is logged,
+     * but not raised. Nothing is written for `--dry-run` or `--plan-json`, which only read the cache.
+     */
+    set(key, output, dependencies = [], contextDependencies = []) {
+        if (this._options.dryRun || this._options.planJson) {
+            return Promise.resolve();
+        }
+        return Promise.join(
+            Promise.all(dependencies.map((filePath) => hashFile(filePath).then((hash) => ({path: filePath, hash})))),
+            Promise.all(contextDependencies.map((dirPath) => {
+                return hashDirectoryListing(dirPath).then((hash) => ({path: dirPath, hash}));
+            })),
+            (hashedDependencies, hashedContextDependencies) => {
+                const entry = {
+                    output: encodeOutput(output),
+                    dependencies: hashedDependencies,
+                    contextDependencies: hashedContextDependencies
+                };
+                return mkdirpAsPromised(this._directory)
+                    .then(() => mzfs.writeFile(this._getEntryPath(key), JSON.stringify(entry)));
+            }
+        )
+            .catch((error) => {
+                this._options.log.warning(`Failed to write transformation cache entry: ${error.message}`);
+            });
+    }
+}
@@ -0,0 +1,239 @@
+import Promise from 'bluebird';
+import _ from 'lodash';
+import path from 'path';
+import chokidar from 'chokidar';
+import * as mzfs from 'mz/fs';
+
+const CHANGE_DEBOUNCE_MILLIS = 100;
+
+function fileExists(filePath) {
+    return Promise.resolve(mzfs.stat(filePath))
+        .then((stats) => stats.isFile())
+        .catch(() => false);
+}
+
+const getGeneratorDestination = (gen) => gen.getDestination();
+const isAffected = (changedPath) => (gen) => {
+    return Boolean(gen.getDependencies()) && gen.getDependencies().isAffectedBy(changedPath);
+};
+
+/**
+ * Keeps outputs up to date with their sources: performs an initial build of every configuration, then
+ * watches the source directories, and every dependency registered by loaders, for changes.
+ *
+ * When a file changes, only the sources affected by it are re-evaluated, and of their outputs, only the
+ * ones whose handler (or fork) depends on the changed file are regenerated. Outputs of deleted sources,
+ * or outputs that a source no longer produces, are removed.
+ */
+export class Watcher {
+
+    /**
+     * @param  {Object} options                     The global options object.
+     * @param  {Array<Configuration>} configurations The configurations to build and watch.
+     * @param  {Object} callbacks                   An object with the following functions:
+     *                                              `assertNoConflicts`, invoked with a complete array of
+     *                                              `OutputGenerators` before anything is generated, which
+     *                                              should return a promise that rejects if their
+     *                                              destinations conflict; `generate`, invoked with an array
+     *                                              of `OutputGenerators` to generate, and an array of the
+     *                                              others (which were generated before), which returns a
+     *                                              promise;
+     *                                              `update`, invoked after every build with an array of
+     *                                              `{configuration, outputGenerators}` objects holding every
+     *                                              current `OutputGenerator` of each configuration, which
+     *                                              returns a promise; and `report`, invoked after that to
+     *                                              report the problems that occurred during the build.
+     */
+    constructor(options, configurations, {assertNoConflicts, generate, update, report}) {
+        this._options = options;
+        this._assertNoConflicts = assertNoConflicts;
+        this._generateOutputs = generate;
+        this._update = update;
+        this._report = report;
+        this._entries = configurations.map((configuration) => ({configuration, generatorsBySource: {}}));
+        this._fsWatcher = null;
+        this._pendingPaths = [];
+        this._pendingTimer = null;
+        this._queue = Promise.resolve();
+    }
+
+    /**
+     * Perform the initial build and start watching. Returns a promise that fulfills once watching has
+     * started; the watcher keeps running (and the process alive) until `close` is called.
+     */
+    start() {
+        return Promise.all(this._entries.map((entry) => this._collectAllGenerators(entry)))
+            .then(() => {
+                const generators = this._getAllGenerators();
+                return Promise.resolve(this._assertNoConflicts(generators))
+                    .then(() => this._generate(generators));
+            })
+            .catch((error) => this._reportError(error))
+            .then(() => this._afterBuild())
+            .then(() => this._startWatching());
+    }
+
+    close() {
+        if (this._pendingTimer) {
+            clearTimeout(this._pendingTimer);
+            this._pendingTimer = null;
+        }
+        if (this._fsWatcher) {
+            this._fsWatcher.close();
+            this._fsWatcher = null;
+        }
+        if (this._options.workerPool) {
+            this._options.workerPool.close();
+        }
+        if (this._options.log && typeof this._options.log.close === 'function') {
+            this._options.log.close();
+        }
+    }
+
+    _collectAllGenerators(entry) {
+        const {configuration, generatorsBySource} = entry;
+        return configuration.visitSources((source) => {
+            return configuration.getOutputGeneratorsForSource(source)
+                .then((generators) => {
+                    generatorsBySource[source.absolutePath] = generators;
+                });
+        });
+    }
+
+    _getAllGenerators(excludeEntry = null, excludeSourcePath = null) {
+        return _.flatten(this._entries.map((entry) => {
+            const generatorsBySource = entry === excludeEntry
+                ? _.omit(entry.generatorsBySource, [excludeSourcePath])
+                : entry.generatorsBySource;
+            return _.flatten(_.values(generatorsBySource));
+        }));
+    }
+
+    _afterBuild() {
+        const builds = this._entries.map(({configuration, generatorsBySource}) => {
+            return {configuration, outputGenerators: _.flatten(_.values(generatorsBySource))};
+        });
+        return Promise.resolve(this._update(builds))
+            .catch((error) => this._reportError(error))
+            .then(() => this._report());
+    }
+
+    _generate(generators) {
+        const otherGenerators = _.difference(this._getAllGenerators(), generators);
+        return Promise.resolve(this._generateOutputs(generators, otherGenerators))
+            .catch((error) => this._reportError(error))
+            .then(() => this._watchDependencies());
+    }
+
+    _startWatching() {
+        const outputPaths = this._entries.map(({configuration}) => configuration.getOutputPath());
+        const isOutput = (filePath) => outputPaths.some((outputPath) => {
+            return filePath === outputPath || filePath.startsWith(`${outputPath}${path.sep}`);
+        });
+        const sourceDirs = _.flatten(this._entries.map(({configuration}) => configuration.getSourceDirs()));
+
+        this._fsWatcher = chokidar.watch(sourceDirs, {ignoreInitial: true, ignored: isOutput});
+        ['add', 'change', 'unlink'].forEach((eventName) => {
+            this._fsWatcher.on(eventName, (changedPath) => this._onChange(path.resolve(changedPath)));
+        });
+        this._fsWatcher.on('error', (error) => this._reportError(error));
+        this._watchDependencies();
+        this._options.log.info('Watching for changes...');
+    }
+
+    _watchDependencies() {
+        if (this._fsWatcher) {
+            const dependencies = _.uniq(_.flatten(this._getAllGenerators().map((gen) => {
+                const tracker = gen.getDependencies();
+                return tracker ? tracker.getDependencies().concat(tracker.getContextDependencies()) : [];
+            })));
+            this._fsWatcher.add(dependencies);
+        }
+    }
+
+    _onChange(changedPath) {
+        this._options.log.debug(`Change detected: ${changedPath}`);
+        this._pendingPaths = _.union(this._pendingPaths, [changedPath]);
+        if (this._pendingTimer) {
+            clearTimeout(this._pendingTimer);
+        }
+        this._pendingTimer = setTimeout(() => {
+            this._pendingTimer = null;
+            const changedPaths = this._pendingPaths;
+            this._pendingPaths = [];
+            this._queue = this._queue
+                .then(() => this._processChanges(changedPaths))
+                .then(() => this._afterBuild())
+                // Keep the queue going, so later changes are still processed.
+                .catch((error) => this._reportError(error));
+        }, CHANGE_DEBOUNCE_MILLIS);
+    }
+
+    _processChanges(changedPaths) {
+        return Promise.each(this._entries, (entry) => {
+            const affectedSources = _.uniq(_.flatten(changedPaths.map((changedPath) => {
+                const dependents = _.keys(_.pickBy(entry.generatorsBySource, (generators) => {
+                    return generators.some(isAffected(changedPath));
+                }));
+                const isSource = _.has(entry.generatorsBySource, changedPath)
+                    || Boolean(entry.configuration.createSourceFileForPath(changedPath));
+                return isSource ? [changedPath, ...dependents] : dependents;
+            })));
+            return Promise.each(affectedSources, (sourcePath) => {
+                return this._rebuildSource(entry, sourcePath, changedPaths)
+                    .catch((error) => this._reportError(error));
+            });
+        });
+    }
+
+    _rebuildSource(entry, sourcePath, changedPaths) {
+        const previousGenerators = entry.generatorsBySource[sourcePath] || [];
+        return fileExists(sourcePath)
+            .then((exists) => {
+                if (!exists) {
+                    delete entry.generatorsBySource[sourcePath];
+                    return Promise.map(previousGenerators, (gen) => gen.removeOutput())
+                        .tap(() => {
+                            previousGenerators.forEach((gen) => {
+                                this._options.log.info(`Removed ${gen.getDestination()}`);
+                            });
+                        });
+                }
+
+                const source = entry.configuration.createSourceFileForPath(sourcePath);
+                return entry.configuration.getOutputGeneratorsForSource(source)
+                    .tap((generators) => {
+                        return this._assertNoConflicts(this._getAllGenerators(entry, sourcePath).concat(generators));
+                    })
+                    .then((generators) => {
+                        const previousByDestination = _.keyBy(previousGenerators, getGeneratorDestination);
+                        const currentDestinations = generators.map(getGeneratorDestination);
+                        const staleGenerators = previousGenerators.filter((gen) => {
+                            return !currentDestinations.includes(gen.getDestination());
+                        });
+
+                        const toGenerate = [];
+                        const retained = generators.map((gen) => {
+                            const previous = previousByDestination[gen.getDestination()];
+                            if (previous && previous.getDependencies()
+                                && !changedPaths.some((changedPath) => isAffected(changedPath)(previous))) {
+                                return previous;
+                            }
+                            toGenerate.push(gen);
+                            return gen;
+                        });
+                        entry.generatorsBySource[sourcePath] = retained;
+
+                        return Promise.map(staleGenerators, (gen) => gen.removeOutput())
+                            .then(() => this._generate(toGenerate));
+                    });
+            });
+    }
+
+    _reportError(error) {
+        this._options.log.error(error.message);
+        if (this._options.debug && error.stack) {
+            this._options.log.debug(error.stack);
+        }
+    }
+}
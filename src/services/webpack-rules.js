@@ -0,0 +1,237 @@
+import _ from 'lodash';
+import R from 'ramda';
+
+/**
+ * Rule properties that we understand.
+ */
+const TRANSLATED_PROPERTIES = [
+    'test', 'include', 'exclude', 'resource', 'resourceQuery', 'loader', 'loaders', 'use', 'options', 'query',
+    'oneOf', 'rules', 'enforce'
+];
+
+/**
+ * Rule properties that only affect how webpack handles modules, not the loaders applied to them. They are
+ * ignored (with a warning).
+ */
+const IGNORED_PROPERTIES = ['parser', 'generator', 'type', 'sideEffects', 'resolve', 'layer'];
+
+/**
+ * Rule conditions on things that don't exist outside of a webpack compilation, like the module that imports
+ * the resource (the `issuer`). Rules with these conditions can't be translated, and are ignored (with a warning).
+ */
+const UNSUPPORTED_CONDITIONS = [
+    'issuer', 'issuerLayer', 'compiler', 'dependency', 'descriptionData', 'mimetype', 'scheme', 'realResource',
+    'resourceFragment', 'with', 'assert'
+];
+
+const USE_ENTRY_PROPERTIES = ['loader', 'options', 'query', 'ident'];
+
+/**
+ * Compile a webpack condition (a string that the value must start with, a RegExp, a function, an array of
+ * conditions any of which must match, or an object with `test`, `include`, `exclude`, `and`, `or`, and `not`
+ * properties, all of which must match) into a predicate for the value. Throws if it can't be translated.
+ */
+function compileCondition(condition, location) {
+    if (typeof condition === 'string') {
+        return (value) => value.startsWith(condition);
+    }
+    else if (condition instanceof RegExp) {
+        return (value) => condition.test(value);
+    }
+    else if (typeof condition === 'function') {
+        return (value) => Boolean(condition(value));
+    }
+    else if (condition instanceof Array) {
+        const predicates = condition.map((item, index) => compileCondition(item, `${location}[${index}]`));
+        return (value) => predicates.some((predicate) => predicate(value));
+    }
+    else if (condition && typeof condition === 'object') {
+        const predicates = _.map(condition, (subCondition, key) => {
+            const subLocation = `${location}.${key}`;
+            switch (key) {
+                case 'test':
+                case 'include':
+                case 'or':
+                    return compileCondition(subCondition, subLocation);
+                case 'exclude':
+                case 'not':
+                    return R.complement(compileCondition(subCondition, subLocation));
+                case 'and': {
+                    const andPredicates = _.castArray(subCondition).map((item, index) => {
+                        return compileCondition(item, `${subLocation}[${index}]`);
+                    });
+                    return (value) => andPredicates.every((predicate) => predicate(value));
+                }
+                default:
+                    throw new Error(`${subLocation}: unknown condition property '${key}'`);
+            }
+        });
+        return (value) => predicates.every((predicate) => predicate(value));
+    }
+    throw new Error(`${location}: unexpected condition: ${condition}`);
+}
+
+/**
+ * Normalize the items of a webpack `use` (or `loaders`) property, or what a `use` function returns, to an
+ * array of rosetta use entries, in webpack order (the loader applied last comes first). Strings can hold
+ * several loaders separated by `!`, as in webpack requests.
+ */
+function normalizeUseItems(items, location, info) {
+    return _.flatMap(_.castArray(items), (item, index) => {
+        const itemLocation = `${location}[${index}]`;
+        if (typeof item === 'string') {
+            return item.split('!').filter(Boolean);
+        }
+        else if (typeof item === 'function') {
+            return normalizeUseItems(item(info), itemLocation, info);
+        }
+        else if (item && typeof item === 'object') {
+            const unknownKeys = _.difference(Object.keys(item), USE_ENTRY_PROPERTIES);
+            if (unknownKeys.length) {
+                throw new Error(`${itemLocation}: unknown use entry properties: ${unknownKeys.join(', ')}`);
+            }
+            return [_.omitBy(item, _.isUndefined)];
+        }
+        throw new Error(`${itemLocation}: unexpected use entry: ${item}`);
+    });
+}
+
+/**
+ * Compile the loaders of a rule, from its `loader` (with `options` or `query`), `loaders`, or `use` property,
+ * into a function that returns the rule's use entries for a resource, in webpack order.
+ */
+function compileUse(rule, location) {
+    const given = ['loader', 'loaders', 'use'].filter((key) => !_.isUndefined(rule[key]));
+    if (given.length > 1) { // eslint-disable-line no-magic-numbers
+        throw new Error(`${location}: only one of ${given.join(', ')} can be given`);
+    }
+    const options = _.isUndefined(rule.options) ? rule.query : rule.options;
+    if (rule.loader) {
+        const loaders = rule.loader.split('!').filter(Boolean);
+        if (!_.isUndefined(options) && loaders.length !== 1) { // eslint-disable-line no-magic-numbers
+            throw new Error(`${location}: options can't be given for more than one loader`);
+        }
+        const useEntries = _.isUndefined(options) ? loaders : [{loader: _.head(loaders), options}];
+        return () => useEntries;
+    }
+    else if (!_.isUndefined(options)) {
+        throw new Error(`${location}: options are given without a loader`);
+    }
+
+    const use = rule.use || rule.loaders || [];
+    const useLocation = `${location}.${rule.use ? 'use' : 'loaders'}`;
+    if (typeof use === 'function') {
+        return (info) => normalizeUseItems(use(info), useLocation, info);
+    }
+    if (_.castArray(use).some((item) => typeof item === 'function')) {
+        return (info) => normalizeUseItems(use, useLocation, info);
+    }
+    // Static entries are normalized right away, so problems with them are reported with the other rules' problems.
+    const useEntries = normalizeUseItems(use, useLocation, null);
+    return () => useEntries;
+}
+
+/**
+ * Compile a webpack rule, reporting (through `report`) any of its properties that are ignored. Returns the
+ * compiled rule, or `null` if it can't be translated, in which case that is reported too.
+ */
+function compileRule(rule, location, report) {
+    try {
+        const unsupportedConditions = _.intersection(Object.keys(rule), UNSUPPORTED_CONDITIONS);
+        if (unsupportedConditions.length) {
+            throw new Error(`${location}: conditions on ${unsupportedConditions.join(', ')} can't be translated`);
+        }
+        const unknownProperties = _.difference(Object.keys(rule), TRANSLATED_PROPERTIES, IGNORED_PROPERTIES);
+        if (unknownProperties.length) {
+            throw new Error(`${location}: unknown rule properties: ${unknownProperties.join(', ')}`);
+        }
+        if (!_.isUndefined(rule.enforce) && !['pre', 'post'].includes(rule.enforce)) {
+            throw new Error(`${location}.enforce: expected 'pre' or 'post', but got '${rule.enforce}'`);
+        }
+
+        const resourceCondition = _.omitBy(_.pick(rule, ['test', 'include', 'exclude']), _.isUndefined);
+        const resourcePredicates = [compileCondition(resourceCondition, location)];
+        if (!_.isUndefined(rule.resource)) {
+            resourcePredicates.push(compileCondition(rule.resource, `${location}.resource`));
+        }
+        const queryPredicate = _.isUndefined(rule.resourceQuery)
+            ? R.T
+            : compileCondition(rule.resourceQuery, `${location}.resourceQuery`);
+
+        const compiled = {
+            matches: ({resource, resourceQuery}) => {
+                return resourcePredicates.every((predicate) => predicate(resource)) && queryPredicate(resourceQuery);
+            },
+            enforce: rule.enforce || 'normal',
+            getUseEntries: compileUse(rule, location),
+            location,
+            rules: compileRules(rule.rules || [], `${location}.rules`, report),
+            oneOf: compileRules(rule.oneOf || [], `${location}.oneOf`, report)
+        };
+
+        _.intersection(Object.keys(rule), IGNORED_PROPERTIES).forEach((property) => {
+            report(`${location}.${property} has no equivalent outside of webpack, and is ignored`);
+        });
+        return compiled;
+    }
+    catch (error) {
+        report(`${error.message}; the rule is ignored`);
+        return null;
+    }
+}
+
+function compileRules(rules, location, report) {
+    return _.compact(rules.map((rule, index) => compileRule(rule, `${location}[${index}]`, report)));
+}
+
+/**
+ * Collect the use entries of the given compiled rule, and of its nested `rules` and first matching `oneOf`
+ * rule, if it matches the resource described by `info`, into the given `effects` (an object with a list of
+ * use entries for each `enforce` value). Returns whether the rule matched.
+ */
+function applyRule(rule, info, effects) {
+    if (!rule.matches(info)) {
+        return false;
+    }
+    effects[rule.enforce].push(...rule.getUseEntries(info));
+    rule.rules.forEach((nestedRule) => applyRule(nestedRule, info, effects));
+    rule.oneOf.some((nestedRule) => applyRule(nestedRule, info, effects));
+    return true;
+}
+
+/**
+ * Translate webpack `module.rules` into rosetta handler definitions. As in webpack, the loaders of every rule
+ * that matches a resource are combined (ordered by their `enforce` property: `'pre'` loaders first, then
+ * normal ones, then `'post'` ones), so the rules translate into a single handler that applies to every source
+ * that at least one loader applies to, with a dynamic use entry that evaluates the rules for each source.
+ *
+ * Rules (or properties of rules) that can't be translated are described with the given `report` function,
+ * invoked with a message, and ignored.
+ *
+ * @param  {Array} rules      The webpack rules.
+ * @param  {Function} report  Invoked with a message for each problem translating the rules.
+ * @param  {String} location  Where the rules are in the config, for messages.
+ * @return {Array<Object>}    An array of handler definitions.
+ */
+export function translateWebpackRules(rules, report, location = 'module.rules') {
+    const compiledRules = compileRules(rules, location, report);
+    if (_.isEmpty(compiledRules)) {
+        return [];
+    }
+
+    // Returns the use entries for the resource, in the order rosetta applies them (the reverse of webpack order).
+    const getUseEntries = (resourcePath, resourceQuery = '') => {
+        const info = {resource: resourcePath, realResource: resourcePath, resourceQuery, issuer: ''};
+        const effects = {pre: [], normal: [], post: []};
+        compiledRules.forEach((rule) => applyRule(rule, info, effects));
+        return R.reverse(effects.post.concat(effects.normal, effects.pre));
+    };
+
+    const matchesWebpackRules = (resourcePath, handlerContext = {}) => {
+        return !_.isEmpty(getUseEntries(resourcePath, handlerContext.resourceQuery));
+    };
+    return [{
+        test: matchesWebpackRules,
+        use: (handlerContext) => getUseEntries(handlerContext.resourcePath, handlerContext.resourceQuery)
+    }];
+}
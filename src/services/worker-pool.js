@@ -0,0 +1,181 @@
+import Promise from 'bluebird';
+import _ from 'lodash';
+import R from 'ramda';
+import os from 'os';
+import path from 'path';
+import {Worker} from 'worker_threads';
+import {wrapError} from './error-utils';
+import {serializeValue, deserializeValue} from './loader-runner';
+
+const WORKER_SCRIPT = path.join(__dirname, 'loader-worker.js');
+
+/**
+ * The properties of a loader context that are passed to a worker thread. The loader API functions are
+ * provided by the worker itself (see `loader-worker.js`).
+ */
+const SERIALIZED_CONTEXT_PROPERTIES = [
+    'resource', 'resourcePath', 'resourceQuery', 'context', 'rootContext', 'destDir', 'data', 'sourceMap',
+    'query', 'options', 'loaderIndex', 'request', 'remainingRequest', 'previousRequest', 'currentRequest',
+    'inputValue', 'value'
+];
+
+function serializeLoaderContext(loaderContext) {
+    return Object.assign(_.pick(loaderContext, SERIALIZED_CONTEXT_PROPERTIES), {
+        loaders: loaderContext.loaders.map((loader) => _.omit(loader, ['module']))
+    });
+}
+
+/**
+ * Runs loaders in a pool of worker threads, for use entries (or handlers) that are configured to run in
+ * `parallel`. Workers are started as they are needed, up to the given `size`, and each runs one phase of
+ * one loader at a time; further requests wait for a worker to be available.
+ *
+ * Workers don't keep the process alive while they're idle, but should be terminated with `close` once
+ * they're no longer needed.
+ */
+export class LoaderWorkerPool {
+
+    constructor(size = os.cpus().length) {
+        this._size = Math.max(size, 1); // eslint-disable-line no-magic-numbers
+        this._slots = [];
+        this._idleSlots = [];
+        this._queue = [];
+        this._nextTaskId = 0;
+    }
+
+    /**
+     * Run a phase of a loader in a worker thread, as `invokeLoaderFunction` does on the main thread.
+     *
+     * @param  {String} modulePath    The absolute path of the loader module.
+     * @param  {String} phase         `'pitch'` to invoke the loader's `pitch` function, or `'normal'` to
+     *                                invoke the loader itself.
+     * @param  {Object} loaderContext The loader context on the main thread. Its serializable properties are
+     *                                passed to the worker, and calls to its API functions are forwarded back
+     *                                to it. The `data` and `value` set by the loader are copied back to it.
+     * @param  {Array} args           The arguments to invoke the loader (or its pitch function) with.
+     * @param  {String} ident         The loader's ident, for messages.
+     * @param  {String} location      The location of the loader's handler in the config, for messages.
+     * @return {Promise<Array>}       A promise for the results, as with `invokeLoaderFunction`.
+     */
+    run(modulePath, phase, loaderContext, args, {ident, location}) {
+        return new Promise((fulfill, reject) => {
+            const taskId = this._nextTaskId;
+            this._nextTaskId = R.inc(this._nextTaskId);
+            const message = {
+                type: 'run',
+                taskId,
+                modulePath,
+                phase,
+                ident,
+                location,
+                context: serializeLoaderContext(loaderContext),
+                args: args.map(serializeValue)
+            };
+            this._queue.push({message, loaderContext, fulfill, reject});
+            this._dispatch();
+        });
+    }
+
+    /**
+     * Terminate all the workers. Returns a promise that fulfills once they're terminated.
+     */
+    close() {
+        const slots = this._slots;
+        this._slots = [];
+        this._idleSlots = [];
+        return Promise.all(slots.map(({worker}) => worker.terminate()));
+    }
+
+    _dispatch() {
+        while (this._queue.length) {
+            const slot = this._idleSlots.pop() || this._startWorker();
+            if (!slot) {
+                return;
+            }
+            this._runTask(slot, this._queue.shift());
+        }
+    }
+
+    _startWorker() {
+        if (this._slots.length >= this._size) {
+            return null;
+        }
+        const slot = {worker: new Worker(WORKER_SCRIPT), task: null};
+        slot.worker.on('message', (message) => this._onMessage(slot, message));
+        slot.worker.on('error', (error) => this._onWorkerFailure(slot, error));
+        slot.worker.on('exit', (code) => {
+            this._onWorkerFailure(slot, new Error(`Worker thread exited unexpectedly, with code ${code}`));
+        });
+        this._slots.push(slot);
+        return slot;
+    }
+
+    _runTask(slot, task) {
+        slot.task = task;
+        slot.worker.ref();
+        try {
+            slot.worker.postMessage(task.message);
+        }
+        catch (error) {
+            this._finishTask(slot);
+            task.reject(wrapError(error, 'Failed to pass the loader context to a worker thread: {message}'));
+        }
+    }
+
+    _finishTask(slot) {
+        slot.task = null;
+        slot.worker.unref();
+        this._idleSlots.push(slot);
+        this._dispatch();
+    }
+
+    _onMessage(slot, message) {
+        const {task} = slot;
+        if (!task || message.taskId !== task.message.taskId) {
+            return;
+        }
+        const {loaderContext} = task;
+        switch (message.type) {
+            case 'call':
+                // Methods of objects on the context, like the logger, are given by their paths (e.g., `log.info`).
+                _.invoke(loaderContext, message.method, ...message.args.map(deserializeValue));
+                break;
+
+            case 'request':
+                loaderContext[message.method](...message.args, (error, ...results) => {
+                    slot.worker.postMessage({
+                        type: 'reply',
+                        callId: message.callId,
+                        error: error ? serializeValue(error) : null,
+                        results: results.map(serializeValue)
+                    });
+                });
+                break;
+
+            case 'done':
+                loaderContext.data = message.data;
+                loaderContext.value = message.value;
+                this._finishTask(slot);
+                task.fulfill(message.results ? message.results.map(deserializeValue) : null);
+                break;
+
+            case 'failed':
+                this._finishTask(slot);
+                task.reject(deserializeValue(message.error));
+                break;
+        }
+    }
+
+    _onWorkerFailure(slot, error) {
+        if (!this._slots.includes(slot)) {
+            return;
+        }
+        this._slots = _.without(this._slots, slot);
+        this._idleSlots = _.without(this._idleSlots, slot);
+        slot.worker.terminate();
+        if (slot.task) {
+            slot.task.reject(wrapError(error, 'Loader worker thread failed: {message}'));
+        }
+        this._dispatch();
+    }
+}
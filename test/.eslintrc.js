@@ -0,0 +1,9 @@
+module.exports = {
+    env: {
+        mocha: true
+    },
+
+    rules: {
+        "no-magic-numbers": 0
+    }
+};
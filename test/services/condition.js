@@ -0,0 +1,237 @@
+import assert from 'assert';
+import Promise from 'bluebird';
+import path from 'path';
+import {Condition} from '../../src/services/condition';
+
+const SOURCE_DIR = path.resolve('/project/src');
+
+/**
+ * Create the handler context for a source at the given path, relative to `SOURCE_DIR`, with the given content.
+ */
+function createHandlerContext(relativePath, content = '') {
+    return {
+        source: {
+            relativePath,
+            absolutePath: path.join(SOURCE_DIR, relativePath),
+            getContent: () => Promise.resolve(Buffer.from(content))
+        }
+    };
+}
+
+function satisfiedBy(condition, relativePath, content = '') {
+    const handlerContext = createHandlerContext(relativePath, content);
+    return new Condition(condition).satisfiedBy(handlerContext.source.absolutePath, handlerContext);
+}
+
+function explain(condition, relativePath, content = '') {
+    const handlerContext = createHandlerContext(relativePath, content);
+    return new Condition(condition).explain(handlerContext.source.absolutePath, handlerContext);
+}
+
+/**
+ * Assert which of the given relative paths satisfy the given condition.
+ */
+function assertMatches(condition, expected) {
+    return Promise.map(Object.keys(expected), (relativePath) => satisfiedBy(condition, relativePath))
+        .then((results) => {
+            assert.deepStrictEqual(results, Object.keys(expected).map((relativePath) => expected[relativePath]));
+        });
+}
+
+describe('Condition', () => {
+
+    describe('booleans', () => {
+        it('are satisfied if true', () => assertMatches(true, {'a.js': true}));
+        it('are not satisfied if false', () => assertMatches(false, {'a.js': false}));
+    });
+
+    describe('strings', () => {
+        it('match relative paths as globs against the path relative to the source directory', () => {
+            return assertMatches('partials/*.hbs', {
+                'partials/a.hbs': true,
+                'a.hbs': false,
+                'other/partials/a.hbs': false,
+                'partials/a.js': false
+            });
+        });
+
+        it('match absolute paths as prefixes', () => {
+            return assertMatches(path.join(SOURCE_DIR, 'lib'), {'lib/a.js': true, 'a.js': false});
+        });
+
+        it('match absolute paths with glob characters as globs', () => {
+            return assertMatches(`${SOURCE_DIR}/**/*.js`, {'lib/a.js': true, 'a.js': true, 'a.hbs': false});
+        });
+    });
+
+    describe('RegExps and functions', () => {
+        it('test the absolute path with a RegExp', () => assertMatches(/\.hbs$/, {'a.hbs': true, 'a.js': false}));
+
+        it('invoke functions with the absolute path and the handler context', () => {
+            const condition = (absPath, {source}) => absPath.endsWith('.js') && source.relativePath !== 'b.js';
+            return assertMatches(condition, {'a.js': true, 'b.js': false, 'a.hbs': false});
+        });
+
+        it('fulfill with whether a function\'s promise fulfills with a truthy value', () => {
+            return assertMatches(() => Promise.resolve(1), {'a.js': true});
+        });
+    });
+
+    describe('arrays', () => {
+        it('are satisfied if all of their conditions are', () => {
+            return assertMatches([/\.hbs$/, 'partials/**'], {'partials/a.hbs': true, 'a.hbs': false});
+        });
+    });
+
+    describe('test and include', () => {
+        it('must both be satisfied', () => {
+            return assertMatches({test: /\.hbs$/, include: 'views/**'}, {
+                'views/a.hbs': true,
+                'a.hbs': false,
+                'views/a.js': false
+            });
+        });
+    });
+
+    describe('exclude', () => {
+        it('excludes sources that satisfy the condition', () => {
+            return assertMatches({test: /\.hbs$/, exclude: 'partials/**'}, {
+                'page.hbs': true,
+                'views/page.hbs': true,
+                'partials/header.hbs': false,
+                'page.js': false
+            });
+        });
+
+        it('excludes sources that satisfy any of an array of conditions', () => {
+            return assertMatches({exclude: ['partials/**', /\.js$/]}, {
+                'page.hbs': true,
+                'partials/header.hbs': false,
+                'page.js': false
+            });
+        });
+
+        it('excludes nothing if it\'s an empty array', () => assertMatches({exclude: []}, {'a.js': true}));
+    });
+
+    describe('not', () => {
+        it('is satisfied if its condition isn\'t', () => {
+            return assertMatches({not: /\.js$/}, {'a.hbs': true, 'a.js': false});
+        });
+
+        it('can be nested', () => assertMatches({not: {not: /\.js$/}}, {'a.js': true, 'a.hbs': false}));
+    });
+
+    describe('and and or', () => {
+        it('and is satisfied if all of its conditions are', () => {
+            return assertMatches({and: [/\.hbs$/, 'views/**']}, {'views/a.hbs': true, 'a.hbs': false});
+        });
+
+        it('or is satisfied if any of its conditions is', () => {
+            return assertMatches({or: [/\.hbs$/, /\.md$/]}, {'a.hbs': true, 'a.md': true, 'a.js': false});
+        });
+
+        it('combine with exclude and not', () => {
+            const condition = {or: [{test: /\.hbs$/, exclude: 'partials/**'}, {not: /\./}]};
+            return assertMatches(condition, {'a.hbs': true, 'partials/a.hbs': false, 'Makefile': true, 'a.js': false});
+        });
+    });
+
+    describe('content', () => {
+        it('matches a RegExp against the content', () => {
+            return Promise.join(
+                satisfiedBy({content: /^#!.*node/}, 'a', '#!/usr/bin/env node\n'),
+                satisfiedBy({content: /^#!.*node/}, 'a', 'plain text'),
+                (matching, other) => assert.deepStrictEqual([matching, other], [true, false])
+            );
+        });
+
+        it('checks that the content contains a String', () => {
+            return Promise.join(
+                satisfiedBy({content: '@flow'}, 'a.js', '// @flow\n'),
+                satisfiedBy({content: '@flow'}, 'a.js', '// nothing\n'),
+                (matching, other) => assert.deepStrictEqual([matching, other], [true, false])
+            );
+        });
+
+        it('only tests the first contentBytes bytes', () => {
+            return Promise.join(
+                satisfiedBy({content: 'marker', contentBytes: 8}, 'a', 'marker and more'),
+                satisfiedBy({content: 'marker', contentBytes: 8}, 'a', 'too late: marker'),
+                (matching, other) => assert.deepStrictEqual([matching, other], [true, false])
+            );
+        });
+    });
+
+    describe('frontMatter', () => {
+        const page = '---\nlayout: post\ntags: [a]\n---\nBody\n';
+
+        it('checks that the front matter has a key', () => {
+            return Promise.join(
+                satisfiedBy({frontMatter: 'layout'}, 'a.md', page),
+                satisfiedBy({frontMatter: 'title'}, 'a.md', page),
+                satisfiedBy({frontMatter: 'layout'}, 'a.md', 'No front matter'),
+                (...results) => assert.deepStrictEqual(results, [true, false, false])
+            );
+        });
+
+        it('tests the values of keys', () => {
+            return Promise.join(
+                satisfiedBy({frontMatter: {layout: /^po/}}, 'a.md', page),
+                satisfiedBy({frontMatter: {layout: 'page'}}, 'a.md', page),
+                satisfiedBy({frontMatter: {tags: (tags) => tags.includes('a')}}, 'a.md', page),
+                (...results) => assert.deepStrictEqual(results, [true, false, true])
+            );
+        });
+
+        it('rejects invalid front matter', () => {
+            return satisfiedBy({frontMatter: 'layout'}, 'a.md', '---\n: [\n---\n')
+                .then(() => assert.fail('expected a rejection'), (error) => {
+                    assert(/Invalid front matter/.test(error.message));
+                });
+        });
+    });
+
+    describe('condition objects', () => {
+        it('reject unknown keys', () => {
+            assert.throws(() => new Condition({tset: /\.js$/}), /Unknown keys in strict condition: tset/);
+        });
+
+        it('allow unknown keys if not strict', () => assertMatches({tset: 1, __strict__: false}, {'a.js': true}));
+    });
+
+    describe('explain', () => {
+        it('explains exclude', () => {
+            return explain({test: /\.hbs$/, exclude: 'partials/**'}, 'partials/a.hbs')
+                .then(({label, satisfied, children: [test, exclude]}) => {
+                    assert.strictEqual(label, 'all of');
+                    assert.strictEqual(satisfied, false);
+                    assert.strictEqual(test.satisfied, true);
+                    assert.strictEqual(exclude.label, 'exclude: none of');
+                    assert.strictEqual(exclude.satisfied, false);
+                    assert.deepStrictEqual(exclude.children.map((child) => child.satisfied), [true]);
+                });
+        });
+
+        it('explains not', () => {
+            return explain({not: /\.js$/}, 'a.hbs')
+                .then(({label, satisfied, children}) => {
+                    assert.strictEqual(label, 'not');
+                    assert.strictEqual(satisfied, true);
+                    assert.deepStrictEqual(children.map((child) => child.satisfied), [false]);
+                });
+        });
+
+        it('evaluates every part, and fails only the parts that throw', () => {
+            const failing = () => {
+                throw new Error('boom');
+            };
+            return explain({or: [failing, /\.js$/]}, 'a.js')
+                .then(({satisfied, children: [failed, matched]}) => {
+                    assert.strictEqual(satisfied, true);
+                    assert.strictEqual(failed.error.message, 'boom');
+                    assert.strictEqual(matched.satisfied, true);
+                });
+        });
+    });
+});